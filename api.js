@@ -0,0 +1,590 @@
+// ==================== API Client ====================
+// Every request the UI makes goes through `api` below. Where the data actually
+// comes from is decided by the active adapter:
+//   - httpAdapter: a REST backend shaped like DummyJSON (default)
+//   - createFixtureAdapter(): the sample data in fixtures.js, served from memory
+//
+// Configure it by defining window.POSTHUB_CONFIG before this script loads, e.g.
+//   <script>window.POSTHUB_CONFIG = { baseUrl: 'http://localhost:3000' };</script>
+// or open the app with ?source=fixtures to run it without any network.
+// Add `cache: false` to the config to turn off the offline cache described further down.
+//
+// The contact form posts to `contactEndpoint`: a path on baseUrl or a full URL.
+// DummyJSON has nowhere to send messages, so the default is its /http/200
+// mock, which confirms the request without storing anything.
+
+const apiConfig = {
+    baseUrl: 'https://dummyjson.com',
+    source: 'http', // 'http' or 'fixtures'
+    contactEndpoint: '/http/200',
+    ...(window.POSTHUB_CONFIG || {})
+};
+
+const urlSource = new URLSearchParams(window.location.search).get('source');
+if (urlSource) apiConfig.source = urlSource;
+
+/**
+ * Creates the error thrown for failed requests, keeping the HTTP status around
+ */
+function createApiError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Creates the error a request rejects with when its signal is aborted
+ */
+function createAbortError() {
+    return new DOMException('The request was aborted.', 'AbortError');
+}
+
+/**
+ * True when a request never reached the server (httpAdapter marks these), as
+ * opposed to an error response or a bug in the code handling the result
+ */
+function isNetworkError(error) {
+    return error?.isNetwork === true;
+}
+
+/**
+ * Builds a query string from an object, skipping empty values
+ */
+function buildQueryString(query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, value);
+        }
+    });
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : '';
+}
+
+// ==================== Adapters ====================
+// An adapter is any object with request({ method, path, query, body, signal })
+// that resolves with the parsed response body or rejects with an API error.
+
+// sw.js adds this header to API responses it answers from its cache while offline
+const serviceWorkerCacheHeader = 'X-PostHub-Offline';
+
+const httpAdapter = {
+    async request({ method = 'GET', path, query, body, signal }) {
+        const options = { method, signal };
+
+        if (body !== undefined) {
+            options.headers = { 'Content-Type': 'application/json' };
+            options.body = JSON.stringify(body);
+        }
+
+        // Full URLs (e.g. a form service for the contact endpoint) skip the base URL
+        const url = /^https?:\/\//.test(path) ? path : `${apiConfig.baseUrl}${path}`;
+        let response;
+        try {
+            response = await fetch(`${url}${buildQueryString(query)}`, options);
+        } catch (error) {
+            // fetch() rejects with a TypeError when the server couldn't be reached
+            if (error instanceof TypeError) {
+                error.isNetwork = true;
+                reportConnection(true);
+            }
+            throw error;
+        }
+
+        // A copy the service worker kept is still data, but the banner should say it's not live
+        reportConnection(response.headers.has(serviceWorkerCacheHeader));
+
+        if (!response.ok) {
+            throw createApiError(`Request to ${path} failed: ${response.status}`, response.status);
+        }
+
+        return response.json();
+    }
+};
+
+/**
+ * Creates an adapter that serves posts, users and comments from memory.
+ * Works on its own copy of the fixtures, so tests can't leak into each other.
+ * `latency` (ms, or a function of the path) simulates a slow network.
+ */
+function createFixtureAdapter(fixtures = POSTHUB_FIXTURES, { latency = 0 } = {}) {
+    const db = structuredClone(fixtures);
+
+    // DummyJSON-style sorting: sortBy can be a nested path like reactions.likes
+    const sortItems = (items, query) => {
+        const sortBy = query.get('sortBy');
+        if (!sortBy) return items;
+
+        const direction = query.get('order') === 'desc' ? -1 : 1;
+        const read = item => sortBy.split('.').reduce((value, key) => value?.[key], item);
+        return [...items].sort((a, b) => {
+            const valueA = read(a);
+            const valueB = read(b);
+            if (valueA < valueB) return -direction;
+            if (valueA > valueB) return direction;
+            return 0;
+        });
+    };
+
+    // DummyJSON-style field selection: select=firstName,lastName keeps those plus id
+    const selectFields = (items, query) => {
+        if (!query.get('select')) return items;
+        const fields = ['id', ...query.get('select').split(',')];
+        return items.map(item => Object.fromEntries(fields.map(field => [field, item[field]])));
+    };
+
+    // DummyJSON-style pagination: limit=0 means "everything"
+    const paginate = (unsortedItems, key, query) => {
+        const items = selectFields(sortItems(unsortedItems, query), query);
+        const limit = query.has('limit') ? Number(query.get('limit')) : 30;
+        const skip = Number(query.get('skip') || 0);
+        return {
+            [key]: limit === 0 ? items.slice(skip) : items.slice(skip, skip + limit),
+            total: items.length,
+            skip,
+            limit: limit === 0 ? items.length - skip : limit
+        };
+    };
+
+    const findOr404 = (items, id, name) => {
+        const item = items.find(entry => entry.id === Number(id));
+        if (!item) throw createApiError(`${name} with id '${id}' not found`, 404);
+        return item;
+    };
+
+    const handlers = [
+        ['GET', /^\/posts$/, (match, query) => paginate(db.posts, 'posts', query)],
+        ['GET', /^\/posts\/search$/, (match, query) => {
+            const term = (query.get('q') || '').toLowerCase();
+            const matches = db.posts.filter(post =>
+                post.title.toLowerCase().includes(term) || post.body.toLowerCase().includes(term));
+            return paginate(matches, 'posts', query);
+        }],
+        ['GET', /^\/posts\/tag-list$/, () => [...new Set(db.posts.flatMap(post => post.tags))].sort()],
+        ['GET', /^\/posts\/tag\/([^/]+)$/, ([tag], query) =>
+            paginate(db.posts.filter(post => post.tags.includes(decodeURIComponent(tag))), 'posts', query)],
+        ['GET', /^\/posts\/user\/(\d+)$/, ([userId], query) =>
+            paginate(db.posts.filter(post => post.userId === Number(userId)), 'posts', query)],
+        ['GET', /^\/posts\/(\d+)$/, ([postId]) => findOr404(db.posts, postId, 'Post')],
+        ['POST', /^\/posts\/add$/, (match, query, body) => {
+            const post = {
+                id: Math.max(0, ...db.posts.map(entry => entry.id)) + 1,
+                reactions: { likes: 0, dislikes: 0 },
+                views: 0,
+                tags: [],
+                ...body
+            };
+            db.posts.unshift(post);
+            return post;
+        }],
+        ['PUT', /^\/posts\/(\d+)$/, ([postId], query, body) =>
+            Object.assign(findOr404(db.posts, postId, 'Post'), body, { id: Number(postId) })],
+        ['DELETE', /^\/posts\/(\d+)$/, ([postId]) => {
+            const post = findOr404(db.posts, postId, 'Post');
+            db.posts = db.posts.filter(entry => entry !== post);
+            return { ...post, isDeleted: true, deletedOn: new Date().toISOString() };
+        }],
+        ['GET', /^\/users$/, (match, query) => paginate(db.users, 'users', query)],
+        ['GET', /^\/users\/(\d+)$/, ([userId]) => findOr404(db.users, userId, 'User')],
+        ['GET', /^\/comments$/, (match, query) => paginate(db.comments, 'comments', query)],
+        ['GET', /^\/comments\/post\/(\d+)$/, ([postId], query) =>
+            paginate(db.comments.filter(comment => comment.postId === Number(postId)), 'comments', query)],
+        ['POST', /^\/comments\/add$/, (match, query, { body, postId, userId, parentId = null }) => {
+            const user = findOr404(db.users, userId, 'User');
+            const comment = {
+                id: Math.max(0, ...db.comments.map(entry => entry.id)) + 1,
+                body,
+                postId: Number(postId),
+                likes: 0,
+                parentId,
+                user: { id: user.id, username: user.username, fullName: `${user.firstName} ${user.lastName}` }
+            };
+            db.comments.push(comment);
+            return comment;
+        }],
+        // Like DummyJSON's /http/:status mock - answers with the status in the path
+        ['POST', /^\/http\/(\d{3})$/, ([status], query, body) => {
+            if (Number(status) >= 400) throw createApiError(`Request to /http/${status} failed: ${status}`, Number(status));
+            db.messages = [...(db.messages || []), body];
+            return { status, message: 'OK' };
+        }]
+    ];
+
+    return {
+        db,
+        async request({ method = 'GET', path, query = {}, body, signal }) {
+            const delay = typeof latency === 'function' ? latency(path) : latency;
+            if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+
+            if (signal?.aborted) {
+                throw createAbortError();
+            }
+
+            const params = new URLSearchParams(buildQueryString(query));
+
+            for (const [handlerMethod, pattern, handle] of handlers) {
+                const match = path.match(pattern);
+                if (handlerMethod === method && match) {
+                    // Hand out copies so callers can't mutate the "database"
+                    return structuredClone(handle(match.slice(1), params, body));
+                }
+            }
+
+            throw createApiError(`No fixture route for ${method} ${path}`, 404);
+        }
+    };
+}
+
+let activeAdapter = apiConfig.source === 'fixtures' ? createFixtureAdapter() : httpAdapter;
+
+/**
+ * Swaps the data source used by every API call (e.g. a fixture adapter in tests)
+ */
+function setApiAdapter(adapter) {
+    activeAdapter = adapter;
+}
+
+// ==================== Request Layer ====================
+// Every call goes through apiRequest(), which:
+//   - shares one in-flight GET between callers asking for the same path and query
+//   - retries network errors and 5xx responses with exponential backoff
+//     (GET, PUT and DELETE only - retrying a POST could create things twice)
+//   - honours each caller's AbortSignal; a shared request is only cancelled
+//     once every caller waiting on it has given up
+
+const retryConfig = {
+    retries: 3,
+    baseDelay: 300, // ms before the first retry, doubled for each one after
+    maxDelay: 4000
+};
+
+const retryableMethods = ['GET', 'PUT', 'DELETE'];
+
+const inFlightRequests = new Map(); // key -> { promise, controller, callers }
+
+/**
+ * Resolves after `ms`, or rejects early if the signal is aborted
+ */
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(createAbortError());
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Sends a request through the active adapter, retrying transient failures
+ */
+async function requestWithRetry(options) {
+    const canRetry = retryableMethods.includes(options.method);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await activeAdapter.request(options);
+        } catch (error) {
+            const isTransient = isNetworkError(error) || error.status >= 500;
+            // No point retrying while the browser knows it's offline
+            if (!canRetry || !isTransient || attempt >= retryConfig.retries || !navigator.onLine) {
+                throw error;
+            }
+
+            // Exponential backoff, with some jitter so clients don't retry in lockstep
+            const delay = Math.min(retryConfig.baseDelay * 2 ** attempt, retryConfig.maxDelay);
+            await waitFor(delay * (0.75 + Math.random() * 0.5), options.signal);
+        }
+    }
+}
+
+/**
+ * Joins a caller onto a shared in-flight request. Aborting `signal` rejects
+ * just this caller; the request itself is aborted when nobody is left.
+ */
+function joinRequest(key, entry, signal) {
+    // Callers after the first get their own copy so they can't mutate each other's data
+    const isFirstCaller = entry.callers === 0;
+    const result = isFirstCaller ? entry.promise : entry.promise.then(data => structuredClone(data));
+    entry.callers++;
+
+    if (!signal) return result;
+
+    return new Promise((resolve, reject) => {
+        const leave = () => {
+            reject(createAbortError());
+            entry.callers--;
+            if (entry.callers === 0) {
+                entry.controller.abort();
+                if (inFlightRequests.get(key) === entry) inFlightRequests.delete(key);
+            }
+        };
+
+        if (signal.aborted) {
+            // Nobody will read this result, but a later failure mustn't go unhandled
+            result.catch(() => {});
+            leave();
+            return;
+        }
+
+        signal.addEventListener('abort', leave, { once: true });
+        result
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', leave));
+    });
+}
+
+/**
+ * Sends a request through the active adapter (see the notes above)
+ */
+function apiRequest(path, { method = 'GET', query, body, signal } = {}) {
+    if (method !== 'GET') {
+        return requestWithRetry({ method, path, query, body, signal });
+    }
+
+    const key = `${path}${buildQueryString(query)}`;
+    let entry = inFlightRequests.get(key);
+
+    if (!entry) {
+        const controller = new AbortController();
+        entry = { controller, callers: 0 };
+        entry.promise = requestWithRetry({ method, path, query, signal: controller.signal })
+            .finally(() => {
+                if (inFlightRequests.get(key) === entry) inFlightRequests.delete(key);
+            });
+        // Callers handle errors through joinRequest - don't report this copy as unhandled
+        entry.promise.catch(() => {});
+        inFlightRequests.set(key, entry);
+    }
+
+    return joinRequest(key, entry, signal);
+}
+
+// ==================== Response Cache ====================
+// GET responses for posts, users and comments are kept in localStorage so pages
+// we've seen before render instantly and still work offline. Fresh entries
+// (younger than their TTL) are used as-is; stale ones are returned right away
+// while a background request refreshes them (stale-while-revalidate).
+// Only the HTTP adapter is cached - fixture data already lives in memory.
+
+const cacheConfig = {
+    enabled: apiConfig.cache !== false,
+    prefix: 'posthub:cache:',
+    // How long (ms) an entry counts as fresh
+    ttl: {
+        posts: 5 * 60 * 1000,
+        post: 10 * 60 * 1000,
+        userPosts: 10 * 60 * 1000,
+        user: 60 * 60 * 1000,
+        comments: 2 * 60 * 1000
+    }
+};
+
+const responseCache = {
+    read(key) {
+        try {
+            return JSON.parse(localStorage.getItem(cacheConfig.prefix + key));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    write(key, data) {
+        const entry = JSON.stringify({ data, storedAt: Date.now() });
+        try {
+            localStorage.setItem(cacheConfig.prefix + key, entry);
+        } catch (error) {
+            // Storage is probably full - start the cache over and try once more
+            this.invalidate();
+            try {
+                localStorage.setItem(cacheConfig.prefix + key, entry);
+            } catch (retryError) {
+                console.error('Error writing to the response cache:', retryError);
+            }
+        }
+    },
+
+    /** Removes the entry for exactly this key */
+    remove(key) {
+        localStorage.removeItem(cacheConfig.prefix + key);
+    },
+
+    /**
+     * Removes every entry whose path starts with `pathPrefix` (all entries if empty)
+     */
+    invalidate(pathPrefix = '') {
+        const fullPrefix = cacheConfig.prefix + pathPrefix;
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(fullPrefix))
+            .forEach(key => localStorage.removeItem(key));
+    }
+};
+
+/**
+ * Tells the page whether it's looking at live data or a cached copy because
+ * the network is down (listen for the 'posthub:connection' event). Every
+ * HTTP response and network failure reports here.
+ */
+function reportConnection(offline) {
+    window.dispatchEvent(new CustomEvent('posthub:connection', { detail: { offline } }));
+}
+
+/**
+ * GET request with stale-while-revalidate caching. `onUpdate(data)` is called
+ * when a background refresh brings newer data than what was returned.
+ */
+async function cachedRequest(path, { query, ttl, onUpdate, signal } = {}) {
+    if (!cacheConfig.enabled || activeAdapter !== httpAdapter) {
+        return apiRequest(path, { query, signal });
+    }
+
+    const key = `${path}${buildQueryString(query)}`;
+    const cached = responseCache.read(key);
+
+    // Fresh enough - no request needed
+    if (cached && Date.now() - cached.storedAt < ttl) {
+        return cached.data;
+    }
+
+    const revalidate = async () => {
+        try {
+            const data = await apiRequest(path, { query, signal });
+            responseCache.write(key, data);
+            return data;
+        } catch (error) {
+            // The item is gone - don't keep serving it
+            if (error.status === 404) responseCache.remove(key);
+            throw error;
+        }
+    };
+
+    if (!cached) return revalidate();
+
+    // Stale - answer from the cache now and refresh in the background
+    revalidate()
+        .then(data => {
+            if (onUpdate && JSON.stringify(data) !== JSON.stringify(cached.data)) onUpdate(data);
+        })
+        .catch(error => {
+            if (error.name !== 'AbortError') console.error(`Error refreshing ${key}:`, error);
+        });
+
+    return cached.data;
+}
+
+// ==================== Endpoints ====================
+
+const api = {
+    getPosts({ limit, skip, sortBy, order, onUpdate } = {}) {
+        return cachedRequest('/posts', { query: { limit, skip, sortBy, order }, ttl: cacheConfig.ttl.posts, onUpdate });
+    },
+
+    searchPosts(query, { limit, skip, signal } = {}) {
+        return apiRequest('/posts/search', { query: { q: query, limit, skip }, signal });
+    },
+
+    getPostsByTag(tag, { limit, skip } = {}) {
+        return apiRequest(`/posts/tag/${encodeURIComponent(tag)}`, { query: { limit, skip } });
+    },
+
+    getTagList() {
+        return apiRequest('/posts/tag-list');
+    },
+
+    // Send a message from the contact form (see apiConfig.contactEndpoint)
+    sendContactMessage({ name, email, message }) {
+        return apiRequest(apiConfig.contactEndpoint, { method: 'POST', body: { name, email, message } });
+    },
+
+    getPost(postId, { onUpdate, signal } = {}) {
+        return cachedRequest(`/posts/${postId}`, { ttl: cacheConfig.ttl.post, onUpdate, signal });
+    },
+
+    // Writes drop the cached post lists (and the post itself) so they're refetched
+    async createPost({ title, body, tags, userId }) {
+        const post = await apiRequest('/posts/add', { method: 'POST', body: { title, body, tags, userId } });
+        responseCache.invalidate('/posts');
+        return post;
+    },
+
+    async updatePost(postId, changes) {
+        const post = await apiRequest(`/posts/${postId}`, { method: 'PUT', body: changes });
+        responseCache.invalidate('/posts');
+        return post;
+    },
+
+    async deletePost(postId) {
+        const result = await apiRequest(`/posts/${postId}`, { method: 'DELETE' });
+        responseCache.invalidate('/posts');
+        return result;
+    },
+
+    getUserPosts(userId, { limit, skip, onUpdate, signal } = {}) {
+        return cachedRequest(`/posts/user/${userId}`, { query: { limit, skip }, ttl: cacheConfig.ttl.userPosts, onUpdate, signal });
+    },
+
+    // Every post by the user, but only the fields the profile stats need
+    getUserPostStats(userId, { signal } = {}) {
+        return cachedRequest(`/posts/user/${userId}`, {
+            query: { limit: 0, select: 'reactions,views,tags' },
+            ttl: cacheConfig.ttl.userPosts,
+            signal
+        });
+    },
+
+    getUser(userId, { onUpdate, signal } = {}) {
+        return cachedRequest(`/users/${userId}`, { ttl: cacheConfig.ttl.user, onUpdate, signal });
+    },
+
+    // DummyJSON can't filter users by a list of ids, so this asks for just the
+    // name fields of every user in one request (small, and cached like any GET)
+    // and picks out the ones we need
+    async getAuthors(userIds) {
+        const data = await cachedRequest('/users', {
+            query: { limit: 0, select: 'firstName,lastName,username,image' },
+            ttl: cacheConfig.ttl.user
+        });
+        const wanted = new Set(userIds.map(Number));
+        return data.users.filter(user => wanted.has(user.id));
+    },
+
+    // The user directory needs search, filters and sorting together, which
+    // DummyJSON can't combine in one request, so this loads every user's
+    // public fields once and the directory does the rest in the browser
+    getUserDirectory({ onUpdate, signal } = {}) {
+        return cachedRequest('/users', {
+            query: { limit: 0, select: 'firstName,lastName,username,image,age,address,bloodGroup' },
+            ttl: cacheConfig.ttl.user,
+            onUpdate,
+            signal
+        });
+    },
+
+    getComments(postId, { onUpdate, signal } = {}) {
+        return cachedRequest(`/comments/post/${postId}`, { ttl: cacheConfig.ttl.comments, onUpdate, signal });
+    },
+
+    // There's no per-user comments endpoint, so this filters the full (cached) list
+    async getCommentsByUser(userId, { signal } = {}) {
+        const data = await cachedRequest('/comments', { query: { limit: 0 }, ttl: cacheConfig.ttl.comments, signal });
+        return data.comments.filter(comment => comment.user.id === Number(userId));
+    },
+
+    async addComment({ body, postId, userId, parentId = null }) {
+        const comment = await apiRequest('/comments/add', { method: 'POST', body: { body, postId, userId, parentId } });
+        // Covers the post's comments and the full list used for profile stats
+        responseCache.invalidate('/comments');
+        return comment;
+    },
+
+    /**
+     * Drops cached responses whose path starts with `pathPrefix`, or all of them
+     */
+    invalidateCache(pathPrefix = '') {
+        responseCache.invalidate(pathPrefix);
+    }
+};
@@ -0,0 +1,286 @@
+// Sample data for the fixture adapter (see api.js).
+// Shaped like DummyJSON responses so the UI can't tell the difference.
+const POSTHUB_FIXTURES = {
+    users: [
+        {
+            id: 1,
+            firstName: 'Emily',
+            lastName: 'Johnson',
+            username: 'emilys',
+            email: 'emily.johnson@x.dummyjson.com',
+            phone: '+81 965-431-3024',
+            image: 'https://dummyjson.com/icon/emilys/128',
+            age: 28,
+            eyeColor: 'Green',
+            height: 193.24,
+            weight: 63.16,
+            bloodGroup: 'O-',
+            address: { address: '626 Main Street', city: 'Phoenix', state: 'Mississippi', postalCode: '29112' }
+        },
+        {
+            id: 2,
+            firstName: 'Michael',
+            lastName: 'Williams',
+            username: 'michaelw',
+            email: 'michael.williams@x.dummyjson.com',
+            phone: '+49 258-627-6644',
+            image: 'https://dummyjson.com/icon/michaelw/128',
+            age: 35,
+            eyeColor: 'Red',
+            height: 186.22,
+            weight: 76.32,
+            bloodGroup: 'B+',
+            address: { address: '385 Fifth Street', city: 'Houston', state: 'Alabama', postalCode: '38807' }
+        },
+        {
+            id: 3,
+            firstName: 'Sophia',
+            lastName: 'Brown',
+            username: 'sophiab',
+            email: 'sophia.brown@x.dummyjson.com',
+            phone: '+81 210-652-2785',
+            image: 'https://dummyjson.com/icon/sophiab/128',
+            age: 42,
+            eyeColor: 'Hazel',
+            height: 177.72,
+            weight: 52.6,
+            bloodGroup: 'O-',
+            address: { address: '1642 Ninth Street', city: 'Washington', state: 'Alabama', postalCode: '32822' }
+        },
+        {
+            id: 4,
+            firstName: 'James',
+            lastName: 'Davis',
+            username: 'jamesd',
+            email: 'james.davis@x.dummyjson.com',
+            phone: '+49 614-958-9364',
+            image: 'https://dummyjson.com/icon/jamesd/128',
+            age: 45,
+            eyeColor: 'Amber',
+            height: 193.31,
+            weight: 62.1,
+            bloodGroup: 'AB+',
+            address: { address: '238 Jefferson Street', city: 'Seattle', state: 'Pennsylvania', postalCode: '68354' }
+        },
+        {
+            id: 5,
+            firstName: 'Emma',
+            lastName: 'Miller',
+            username: 'emmaj',
+            email: 'emma.miller@x.dummyjson.com',
+            phone: '+91 759-776-1614',
+            image: 'https://dummyjson.com/icon/emmaj/128',
+            age: 30,
+            eyeColor: 'Green',
+            height: 158.73,
+            weight: 77.41,
+            bloodGroup: 'AB-',
+            address: { address: '607 Fourth Street', city: 'Jacksonville', state: 'Colorado', postalCode: '26593' }
+        },
+        {
+            id: 6,
+            firstName: 'Olivia',
+            lastName: 'Wilson',
+            username: 'oliviaw',
+            email: 'olivia.wilson@x.dummyjson.com',
+            phone: '+91 607-295-6448',
+            image: 'https://dummyjson.com/icon/oliviaw/128',
+            age: 22,
+            eyeColor: 'Hazel',
+            height: 182.61,
+            weight: 56.95,
+            bloodGroup: 'B+',
+            address: { address: '547 First Street', city: 'Fort Worth', state: 'Pennsylvania', postalCode: '83843' }
+        }
+    ],
+
+    posts: [
+        {
+            id: 1,
+            title: 'His mother had always taught him',
+            body: 'His mother had always taught him not to ever think of himself as better than others. He\'d tried to live by this motto. He never looked down on those who were less fortunate or who had less money than him.',
+            tags: ['history', 'american', 'crime'],
+            reactions: { likes: 192, dislikes: 25 },
+            views: 305,
+            userId: 1
+        },
+        {
+            id: 2,
+            title: 'He was an expert but not in a discipline',
+            body: 'He was an expert but not in a discipline that anyone could fully appreciate. He knew how to hold the cone just right so that the soft server ice-cream fell into it at the precise angle to form a perfect cone each and every time.',
+            tags: ['french', 'fiction', 'english'],
+            reactions: { likes: 859, dislikes: 32 },
+            views: 4884,
+            userId: 2
+        },
+        {
+            id: 3,
+            title: 'Dave watched as the forest burned up on the hill',
+            body: 'Dave watched as the forest burned up on the hill, only a few miles from her house. The car had been hastily packed and Marta was inside trying to round up the last of the pets.',
+            tags: ['magical', 'history', 'french'],
+            reactions: { likes: 1448, dislikes: 39 },
+            views: 4152,
+            userId: 3
+        },
+        {
+            id: 4,
+            title: 'All he wanted was a candy bar',
+            body: 'All he wanted was a candy bar. It didn\'t seem like a difficult request to comprehend, but the clerk remained frozen and didn\'t seem to want to honor the request.',
+            tags: ['mystery', 'english', 'american'],
+            reactions: { likes: 359, dislikes: 18 },
+            views: 4548,
+            userId: 4
+        },
+        {
+            id: 5,
+            title: 'Hopes and dreams were dashed that day',
+            body: 'Hopes and dreams were dashed that day. It should have been expected, but it still came as a shock. The warning signs had been ignored in favor of the possibility, however remote, that it could actually happen.',
+            tags: ['crime', 'mystery', 'love'],
+            reactions: { likes: 119, dislikes: 30 },
+            views: 626,
+            userId: 5
+        },
+        {
+            id: 6,
+            title: 'Dave wasn\'t exactly sure how he had ended up',
+            body: 'Dave wasn\'t exactly sure how he had ended up in this predicament. He ran through all the events that had lead to this current situation and it still didn\'t make sense.',
+            tags: ['english', 'classic', 'american'],
+            reactions: { likes: 15, dislikes: 8 },
+            views: 38,
+            userId: 6
+        },
+        {
+            id: 7,
+            title: 'This is important to remember',
+            body: 'This is important to remember. Love isn\'t like pie. You don\'t need to divide it among all your friends and loved ones. No matter how much love you give, you can always give more.',
+            tags: ['magical', 'crime'],
+            reactions: { likes: 127, dislikes: 26 },
+            views: 168,
+            userId: 1
+        },
+        {
+            id: 8,
+            title: 'One can cook on and with an open fire',
+            body: 'One can cook on and with an open fire. These are some of the ways to cook with fire outside. Cooking meat using a spit is a great way to evenly cook meat.',
+            tags: ['american', 'english'],
+            reactions: { likes: 1271, dislikes: 36 },
+            views: 2116,
+            userId: 2
+        },
+        {
+            id: 9,
+            title: 'There are different types of secrets',
+            body: 'There are different types of secrets. She had held onto plenty of them during her life, but this one was different. She found herself holding onto the worst type.',
+            tags: ['american', 'history', 'magical'],
+            reactions: { likes: 1063, dislikes: 29 },
+            views: 4787,
+            userId: 3
+        },
+        {
+            id: 10,
+            title: 'They rushed out the door',
+            body: 'They rushed out the door, grabbing anything and everything they could think of they might need. There was no time to double-check to make sure they weren\'t leaving something important behind.',
+            tags: ['fiction', 'magical', 'history'],
+            reactions: { likes: 641, dislikes: 24 },
+            views: 2115,
+            userId: 4
+        },
+        {
+            id: 11,
+            title: 'It wasn\'t quite yet time to panic',
+            body: 'It wasn\'t quite yet time to panic. There was still time to salvage the situation. At least that is what she was telling himself. The reality was that it was time to panic.',
+            tags: ['mystery', 'french', 'love'],
+            reactions: { likes: 432, dislikes: 11 },
+            views: 1308,
+            userId: 5
+        },
+        {
+            id: 12,
+            title: 'She was aware that things could go wrong',
+            body: 'She was aware that things could go wrong. In fact, she had trained her entire life in anticipation that things would go wrong one day. She had quiet confidence as she started to look into the family genealogy.',
+            tags: ['american', 'french', 'classic'],
+            reactions: { likes: 1352, dislikes: 45 },
+            views: 3502,
+            userId: 6
+        },
+        {
+            id: 13,
+            title: 'She wanted rainbow hair',
+            body: 'She wanted rainbow hair. That\'s what she told the hairdresser. It should be deep rainbow colors, too. She wasn\'t interested in pastel rainbow hair.',
+            tags: ['english', 'classic', 'love'],
+            reactions: { likes: 318, dislikes: 7 },
+            views: 744,
+            userId: 1
+        },
+        {
+            id: 14,
+            title: 'The paper was blank',
+            body: 'The paper was blank. It shouldn\'t have been. There should have been writing on the paper, at least some sort of writing. If there was writing, it would make sense of what happened.',
+            tags: ['history', 'mystery', 'fiction'],
+            reactions: { likes: 92, dislikes: 2 },
+            views: 211,
+            userId: 2
+        },
+        {
+            id: 15,
+            title: 'So what is the answer?',
+            body: 'So what is the answer? How can you stand what you\'re doing and still do it? Stepping back from the problem, you have to understand what you\'re accomplishing.',
+            tags: ['fiction', 'crime', 'classic'],
+            reactions: { likes: 772, dislikes: 21 },
+            views: 1960,
+            userId: 3
+        },
+        {
+            id: 16,
+            title: 'Sometimes there isn\'t a good answer',
+            body: 'Sometimes there isn\'t a good answer. No matter how you try to rationalize the outcome, it doesn\'t make sense. And instead of an answer, you are simply left with a question.',
+            tags: ['love', 'english'],
+            reactions: { likes: 205, dislikes: 14 },
+            views: 495,
+            userId: 4
+        },
+        {
+            id: 17,
+            title: 'On the island it was hot',
+            body: 'On the island it was hot, and the breeze from the sea was the only thing keeping them sane. They had been stranded for three days and the water was running low.',
+            tags: ['magical', 'fiction', 'french'],
+            reactions: { likes: 1520, dislikes: 40 },
+            views: 3021,
+            userId: 5
+        },
+        {
+            id: 18,
+            title: 'A long time ago in a small town',
+            body: 'A long time ago in a small town, there lived a baker who had a secret. Every morning before dawn he would bake one loaf of bread that no one ever saw him sell.',
+            tags: ['history', 'classic', 'mystery'],
+            reactions: { likes: 48, dislikes: 5 },
+            views: 97,
+            userId: 6
+        }
+    ],
+
+    comments: [
+        { id: 1, body: 'This is some awesome thinking!', postId: 1, likes: 3, user: { id: 2, username: 'michaelw', fullName: 'Michael Williams' } },
+        { id: 2, body: 'What terrific math skills you\'re showing!', postId: 1, likes: 4, user: { id: 3, username: 'sophiab', fullName: 'Sophia Brown' } },
+        { id: 3, body: 'You are an amazing writer!', postId: 2, likes: 2, user: { id: 1, username: 'emilys', fullName: 'Emily Johnson' } },
+        { id: 4, body: 'Wow! You have improved so much!', postId: 2, likes: 1, user: { id: 5, username: 'emmaj', fullName: 'Emma Miller' } },
+        { id: 5, body: 'Nice idea!', postId: 3, likes: 8, user: { id: 4, username: 'jamesd', fullName: 'James Davis' } },
+        { id: 6, body: 'You are showing excellent understanding!', postId: 3, likes: 0, user: { id: 6, username: 'oliviaw', fullName: 'Olivia Wilson' } },
+        { id: 7, body: 'This is clear, concise, and complete!', postId: 3, likes: 5, user: { id: 1, username: 'emilys', fullName: 'Emily Johnson' } },
+        { id: 8, body: 'What a powerful argument!', postId: 4, likes: 2, user: { id: 2, username: 'michaelw', fullName: 'Michael Williams' } },
+        { id: 9, body: 'I knew you could do it!', postId: 5, likes: 7, user: { id: 3, username: 'sophiab', fullName: 'Sophia Brown' } },
+        { id: 10, body: 'Wonderful ideas!', postId: 6, likes: 1, user: { id: 4, username: 'jamesd', fullName: 'James Davis' } },
+        { id: 11, body: 'It was a pleasure to grade this!', postId: 7, likes: 9, user: { id: 5, username: 'emmaj', fullName: 'Emma Miller' } },
+        { id: 12, body: 'Keep up the incredible work!', postId: 7, likes: 3, user: { id: 6, username: 'oliviaw', fullName: 'Olivia Wilson' } },
+        { id: 13, body: 'My goodness, how impressive!', postId: 8, likes: 6, user: { id: 1, username: 'emilys', fullName: 'Emily Johnson' } },
+        { id: 14, body: 'You\'re showing inventive ideas!', postId: 9, likes: 2, user: { id: 2, username: 'michaelw', fullName: 'Michael Williams' } },
+        { id: 15, body: 'You\'ve shown so much growth!', postId: 10, likes: 4, user: { id: 3, username: 'sophiab', fullName: 'Sophia Brown' } },
+        { id: 16, body: 'Interesting thoughts!', postId: 11, likes: 0, user: { id: 4, username: 'jamesd', fullName: 'James Davis' } },
+        { id: 17, body: 'I love your neat work!', postId: 12, likes: 5, user: { id: 5, username: 'emmaj', fullName: 'Emma Miller' } },
+        { id: 18, body: 'Doesn\'t it feel good to do such great work?', postId: 13, likes: 1, user: { id: 6, username: 'oliviaw', fullName: 'Olivia Wilson' } },
+        { id: 19, body: 'First-rate work!', postId: 15, likes: 2, user: { id: 1, username: 'emilys', fullName: 'Emily Johnson' } },
+        { id: 20, body: 'This is fascinating information!', postId: 17, likes: 3, user: { id: 2, username: 'michaelw', fullName: 'Michael Williams' } },
+        { id: 21, body: 'You inspire me!', postId: 17, likes: 6, user: { id: 3, username: 'sophiab', fullName: 'Sophia Brown' } },
+        { id: 22, body: 'This is right on target!', postId: 18, likes: 0, user: { id: 4, username: 'jamesd', fullName: 'James Davis' } }
+    ]
+};
@@ -0,0 +1,205 @@
+// ==================== Internationalization ====================
+// Every string the UI shows comes from a message catalog. Catalogs live in
+// locales/*.js and register themselves with registerLocale():
+//   registerLocale('sv', { name: 'Svenska', dir: 'ltr', messages: { ... } })
+//
+// Messages are looked up with t('section.key', params). `{name}` placeholders
+// are filled from params - numbers are formatted for the active locale, so
+// pass ids as strings to keep them ungrouped. A message can also be an object
+// of plural forms ({ one, other, ... }) chosen with Intl.PluralRules from
+// params.count. Keys missing from a catalog fall back to English, so a
+// partial translation still works.
+//
+// Static text in index.html is marked up with data attributes and translated
+// by translatePage():
+//   data-i18n="key"             - the element's text
+//   data-i18n-placeholder="key" - its placeholder (likewise data-i18n-aria-label
+//                                 and data-i18n-title)
+// Child elements with data-i18n-slot="name" are kept and placed where the
+// message says {name}, e.g. the <kbd> keys in the home instructions.
+
+const defaultLocale = 'en';
+const localeStorageKey = 'posthub:locale';
+const locales = {};
+
+let currentLocale = defaultLocale;
+
+// Intl formatters are slow to create, so each one is made once per locale and options
+const formatterCache = new Map();
+
+/**
+ * Adds a catalog: { name (in its own language), dir ('ltr' or 'rtl'), messages }
+ */
+function registerLocale(code, catalog) {
+    locales[code] = catalog;
+}
+
+/** The active locale's code, e.g. 'sv' */
+function getLocale() {
+    return currentLocale;
+}
+
+/** The registered locales as [{ code, name }], for the language switcher */
+function getAvailableLocales() {
+    return Object.entries(locales).map(([code, catalog]) => ({ code, name: catalog.name }));
+}
+
+/**
+ * The locale to start with: the saved choice, else the first of the browser's
+ * languages we have a catalog for, else English
+ */
+function detectLocale() {
+    try {
+        const saved = localStorage.getItem(localeStorageKey);
+        if (locales[saved]) return saved;
+    } catch (error) {
+        // Storage blocked - fall through to the browser's languages
+    }
+
+    const preferred = navigator.languages || [navigator.language];
+    for (const language of preferred) {
+        const code = String(language).toLowerCase().split('-')[0];
+        if (locales[code]) return code;
+    }
+    return defaultLocale;
+}
+
+/**
+ * Switches the UI language: updates <html lang/dir>, remembers the choice
+ * and re-translates the static page. Views re-render on 'posthub:localechange'.
+ */
+function setLocale(code, { save = true } = {}) {
+    if (!locales[code]) code = defaultLocale;
+    currentLocale = code;
+
+    document.documentElement.lang = code;
+    document.documentElement.dir = locales[code].dir || 'ltr';
+
+    if (save) {
+        try {
+            localStorage.setItem(localeStorageKey, code);
+        } catch (error) {
+            console.error('Error saving language:', error);
+        }
+    }
+
+    translatePage();
+    window.dispatchEvent(new CustomEvent('posthub:localechange', { detail: { locale: code } }));
+}
+
+/**
+ * Finds a message in the active catalog, then in English
+ */
+function findMessage(key) {
+    const catalog = locales[currentLocale]?.messages || {};
+    if (key in catalog) return catalog[key];
+    return locales[defaultLocale]?.messages[key];
+}
+
+/**
+ * Translates a message key. Plural messages pick their form from params.count;
+ * other numeric params are formatted with formatNumber().
+ */
+function t(key, params = {}) {
+    let message = findMessage(key);
+    if (message === undefined) {
+        console.error(`Missing translation: ${key}`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const form = getPluralRules().select(params.count ?? 0);
+        message = message[form] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * Returns a cached Intl formatter for the active locale
+ */
+function getFormatter(type, options = {}) {
+    const cacheKey = `${currentLocale}|${type}|${JSON.stringify(options)}`;
+    if (!formatterCache.has(cacheKey)) {
+        formatterCache.set(cacheKey, new Intl[type](currentLocale, options));
+    }
+    return formatterCache.get(cacheKey);
+}
+
+function getPluralRules() {
+    return getFormatter('PluralRules');
+}
+
+/**
+ * Formats a number for the active locale. With compact set, large numbers are
+ * shortened (1.2K, 1,2 tn, 1.2 ألف).
+ */
+function formatNumber(value, { compact = false } = {}) {
+    if (!Number.isFinite(value)) return String(value);
+    const options = compact ? { notation: 'compact', maximumFractionDigits: 1 } : {};
+    return getFormatter('NumberFormat', options).format(value);
+}
+
+/** Formats a date (a Date or timestamp) for the active locale */
+function formatDate(value, options = { dateStyle: 'medium' }) {
+    return getFormatter('DateTimeFormat', options).format(new Date(value));
+}
+
+/** Joins items into a list for the active locale, e.g. "a, b and c" */
+function formatList(items) {
+    return getFormatter('ListFormat', { type: 'conjunction' }).format(items);
+}
+
+/**
+ * Compares two strings the way the active language sorts them
+ */
+function compareText(a, b) {
+    return getFormatter('Collator').compare(a, b);
+}
+
+/**
+ * Translates the static markup in `root` (see data-i18n above)
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        translateElement(element, t(element.dataset.i18n));
+    });
+
+    ['placeholder', 'aria-label', 'title'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+/**
+ * Replaces an element's text with a message, keeping any data-i18n-slot
+ * children and putting each one where the message names it
+ */
+function translateElement(element, message) {
+    const slots = {};
+    element.querySelectorAll(':scope > [data-i18n-slot]').forEach(slot => {
+        slots[slot.dataset.i18nSlot] = slot;
+    });
+
+    if (Object.keys(slots).length === 0) {
+        element.textContent = message;
+        return;
+    }
+
+    while (element.firstChild) {
+        element.removeChild(element.firstChild);
+    }
+    message.split(/\{(\w+)\}/).forEach((part, index) => {
+        // Odd parts are the names captured between the braces
+        if (index % 2 === 1 && slots[part]) {
+            element.appendChild(slots[part]);
+        } else if (part) {
+            element.appendChild(document.createTextNode(index % 2 === 1 ? `{${part}}` : part));
+        }
+    });
+}
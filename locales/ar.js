@@ -0,0 +1,381 @@
+// Arabic - written right to left. Plurals use all six Arabic forms
+// (zero, one, two, few, many, other) picked by Intl.PluralRules.
+registerLocale('ar', {
+    name: 'العربية',
+    dir: 'rtl',
+    messages: {
+        // Header and navigation
+        'nav.home': 'الرئيسية',
+        'nav.posts': 'المنشورات',
+        'nav.tags': 'الوسوم',
+        'nav.users': 'المستخدمون',
+        'nav.saved': 'المحفوظات',
+        'nav.contact': 'اتصل بنا',
+        'settings.theme': 'المظهر',
+        'settings.themeSystem': '🖥️ حسب النظام',
+        'settings.themeLight': '☀️ فاتح',
+        'settings.themeDark': '🌙 داكن',
+        'settings.language': 'اللغة',
+
+        // Shared
+        'common.loading': 'جارٍ التحميل...',
+        'common.retry': 'إعادة المحاولة',
+        'common.tryAgain': 'حاول مرة أخرى',
+        'common.cancel': 'إلغاء',
+        'common.loadMorePosts': 'تحميل المزيد من المنشورات',
+        'common.backToPosts': '→ العودة إلى المنشورات',
+        'common.unknownUser': 'المستخدم {id}',
+        'offline.banner': '📡 أنت غير متصل - نعرض البيانات المحفوظة حيثما توفرت.',
+        'offline.title': '📡 أنت غير متصل',
+        'offline.body': 'لم تُحفظ هذه الصفحة للقراءة دون اتصال بعد. المنشورات التي فتحتها سابقًا ما زالت متاحة.',
+        'offline.goToPosts': 'الذهاب إلى المنشورات',
+        'update.available': 'يتوفر إصدار جديد من PostHub.',
+        'update.reload': 'إعادة التحميل',
+        'update.later': 'لاحقًا',
+
+        // Home
+        'home.title': 'مرحبًا بك في مدونة مجتمعنا',
+        'home.intro': 'استكشف منشورات مجتمعنا النابض بالحياة، واكتشف محتوى مثيرًا للاهتمام، وتواصل مع كتّاب رائعين. انقر على أي منشور لقراءة محتواه كاملًا والمشاركة في النقاش في التعليقات!',
+        'home.howTo': 'كيفية استخدام التطبيق',
+        'home.browseLabel': 'تصفح المنشورات:',
+        'home.browse': 'انتقل إلى صفحة المنشورات لعرض جميع المنشورات',
+        'home.readLabel': 'قراءة التفاصيل:',
+        'home.read': 'انقر على عنوان منشور لعرض المحتوى الكامل والتعليقات',
+        'home.profilesLabel': 'عرض الملفات الشخصية:',
+        'home.profiles': 'انقر على اسم الكاتب لرؤية ملفه الشخصي وجميع منشوراته',
+        'home.navigateLabel': 'التنقل:',
+        'home.navigate': 'استخدم قائمة التنقل في الأعلى للتبديل بين الأقسام',
+        'home.keyboardLabel': 'لوحة المفاتيح:',
+        'home.keyboard': 'اضغط {help} لعرض اختصارات لوحة المفاتيح، أو {palette} للانتقال إلى أي منشور أو مستخدم',
+
+        // Feed
+        'feed.title': 'أحدث المنشورات',
+        'feed.newPost': '✏️ منشور جديد',
+        'feed.sortBy': 'الترتيب حسب',
+        'feed.defaultOrder': 'الترتيب الافتراضي',
+        'feed.sortLikes': 'الإعجابات',
+        'feed.sortDislikes': 'عدم الإعجاب',
+        'feed.sortViews': 'المشاهدات',
+        'feed.sortTitle': 'العنوان',
+        'feed.order': 'الاتجاه',
+        'feed.descending': 'تنازلي',
+        'feed.ascending': 'تصاعدي',
+        'feed.minReactions': 'أدنى عدد من التفاعلات',
+        'feed.author': 'الكاتب',
+        'feed.allAuthors': 'جميع الكتّاب',
+        'feed.infiniteScroll': 'تمرير لا نهائي',
+        'feed.loading': 'جارٍ تحميل المنشورات...',
+        'feed.empty': 'لا توجد منشورات في الوقت الحالي.',
+        'feed.error': 'تعذر تحميل المنشورات. يرجى التحقق من اتصالك بالإنترنت والمحاولة مرة أخرى.',
+        'feed.noMatches': 'لا يطابق أي من المنشورات المحمّلة هذه المرشحات. جرّب تحميل المزيد أو تخفيف المرشحات.',
+
+        // Post cards
+        'post.likes': {
+            zero: '❤️ لا إعجابات',
+            one: '❤️ إعجاب واحد',
+            two: '❤️ إعجابان',
+            few: '❤️ {count} إعجابات',
+            many: '❤️ {count} إعجابًا',
+            other: '❤️ {count} إعجاب'
+        },
+        'post.likesUnknown': '❤️ الإعجابات غير متوفرة',
+        'post.views': {
+            zero: '👁️ لا مشاهدات',
+            one: '👁️ مشاهدة واحدة',
+            two: '👁️ مشاهدتان',
+            few: '👁️ {views} مشاهدات',
+            many: '👁️ {views} مشاهدة',
+            other: '👁️ {views} مشاهدة'
+        },
+        'post.comments': {
+            zero: '💬 لا تعليقات',
+            one: '💬 تعليق واحد',
+            two: '💬 تعليقان',
+            few: '💬 {count} تعليقات',
+            many: '💬 {count} تعليقًا',
+            other: '💬 {count} تعليق'
+        },
+        'post.saving': 'جارٍ الحفظ...',
+        'post.edit': '✏️ تعديل',
+        'post.delete': '🗑️ حذف',
+        'post.like': 'إعجاب',
+        'post.dislike': 'عدم إعجاب',
+        'post.reactionLabel': '{label} ({count})',
+
+        // Search
+        'search.label': 'البحث في المنشورات',
+        'search.placeholder': 'ابحث في المنشورات...',
+        'search.searching': 'جارٍ البحث...',
+        'search.noResults': 'لا توجد منشورات تطابق «{query}».',
+        'search.showing': 'عرض {shown} من {total} منشورًا يطابق «{query}»',
+        'search.total': {
+            zero: 'لا توجد منشورات تطابق «{query}»',
+            one: 'منشور واحد يطابق «{query}»',
+            two: 'منشوران يطابقان «{query}»',
+            few: '{count} منشورات تطابق «{query}»',
+            many: '{count} منشورًا يطابق «{query}»',
+            other: '{count} منشور يطابق «{query}»'
+        },
+        'search.error': 'فشل البحث. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+
+        // Tags
+        'tags.title': 'تصفح الوسوم',
+        'tags.allTags': '→ جميع الوسوم',
+        'tags.postsTagged': 'منشورات موسومة بـ«{tag}»',
+        'tags.noPosts': 'لا توجد منشورات موسومة بـ«{tag}» بعد.',
+        'tags.feedError': 'تعذر تحميل منشورات هذا الوسم. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+        'tags.loading': 'جارٍ تحميل الوسوم...',
+        'tags.empty': 'لا توجد وسوم في الوقت الحالي.',
+        'tags.summary': {
+            zero: 'تعتمد أعداد الوسوم على المنشورات التي حمّلتها حتى الآن.',
+            one: 'تعتمد أعداد الوسوم على المنشور الوحيد الذي حمّلته حتى الآن.',
+            two: 'تعتمد أعداد الوسوم على المنشورَين اللذين حمّلتهما حتى الآن.',
+            few: 'تعتمد أعداد الوسوم على {count} منشورات حمّلتها حتى الآن.',
+            many: 'تعتمد أعداد الوسوم على {count} منشورًا حمّلته حتى الآن.',
+            other: 'تعتمد أعداد الوسوم على {count} منشور حمّلته حتى الآن.'
+        },
+        'tags.summaryEmpty': 'تصفح بعض المنشورات لترى عدد مرات استخدام كل وسم.',
+        'tags.countLabel': {
+            zero: '{tag}، غير مستخدم في المنشورات المحمّلة',
+            one: '{tag}، مستخدم في منشور محمّل واحد',
+            two: '{tag}، مستخدم في منشورَين محمّلَين',
+            few: '{tag}، مستخدم في {count} منشورات محمّلة',
+            many: '{tag}، مستخدم في {count} منشورًا محمّلًا',
+            other: '{tag}، مستخدم في {count} منشور محمّل'
+        },
+        'tags.error': 'تعذر تحميل الوسوم. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+
+        // User directory
+        'users.title': 'المستخدمون',
+        'users.searchLabel': 'البحث عن المستخدمين بالاسم',
+        'users.searchPlaceholder': 'ابحث عن المستخدمين بالاسم...',
+        'users.sortName': 'الاسم',
+        'users.sortAge': 'العمر',
+        'users.state': 'الولاية',
+        'users.allStates': 'جميع الولايات',
+        'users.city': 'المدينة',
+        'users.allCities': 'جميع المدن',
+        'users.bloodGroup': 'فصيلة الدم',
+        'users.allBloodGroups': 'جميع فصائل الدم',
+        'users.loadMore': 'تحميل المزيد من المستخدمين',
+        'users.loading': 'جارٍ تحميل المستخدمين...',
+        'users.error': 'تعذر تحميل المستخدمين. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+        'users.empty': 'لا يوجد مستخدمون لعرضهم بعد.',
+        'users.noMatches': 'لا يوجد مستخدمون يطابقون بحثك والمرشحات.',
+        'users.showing': {
+            zero: 'لا يوجد مستخدمون',
+            one: 'عرض {shown} من مستخدم واحد',
+            two: 'عرض {shown} من مستخدمَين',
+            few: 'عرض {shown} من {count} مستخدمين',
+            many: 'عرض {shown} من {count} مستخدمًا',
+            other: 'عرض {shown} من {count} مستخدم'
+        },
+        'users.age': {
+            zero: '{count} سنة',
+            one: 'سنة واحدة',
+            two: 'سنتان',
+            few: '{count} سنوات',
+            many: '{count} سنة',
+            other: '{count} سنة'
+        },
+        'users.viewPosts': 'عرض المنشورات ←',
+        'users.viewPostsLabel': 'عرض منشورات {name}',
+
+        // Command palette
+        'palette.label': 'لوحة الأوامر',
+        'palette.inputLabel': 'انتقل إلى صفحة أو منشور أو مستخدم',
+        'palette.placeholder': 'انتقل إلى منشور أو مستخدم بالمعرّف أو العنوان...',
+        'palette.results': 'النتائج',
+        'palette.hint': '↑ ↓ للاختيار · Enter للفتح · Esc للإغلاق',
+        'palette.page': 'صفحة',
+        'palette.newPost': 'منشور جديد',
+        'palette.post': 'المنشور #{id}',
+        'palette.user': 'المستخدم #{id}',
+        'palette.noMatches': 'لا توجد نتائج',
+        'palette.error': 'تعذر البحث في المنشورات والمستخدمين. يرجى التحقق من اتصالك.',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'اختصارات لوحة المفاتيح',
+        'shortcuts.close': 'إغلاق اختصارات لوحة المفاتيح',
+        'shortcuts.move': 'المنشور التالي / السابق',
+        'shortcuts.open': 'فتح المنشور المحدد',
+        'shortcuts.author': 'فتح الملف الشخصي للكاتب',
+        'shortcuts.search': 'البحث',
+        'shortcuts.home': 'الذهاب إلى الرئيسية',
+        'shortcuts.posts': 'الذهاب إلى المنشورات',
+        'shortcuts.tags': 'الذهاب إلى الوسوم',
+        'shortcuts.users': 'الذهاب إلى المستخدمين',
+        'shortcuts.palette': 'الانتقال إلى منشور أو مستخدم أو صفحة',
+        'shortcuts.help': 'عرض هذه القائمة',
+        'shortcuts.escape': 'إغلاق نافذة الحوار',
+
+        // Saved posts
+        'saved.title': 'المنشورات المحفوظة',
+        'saved.export': 'تصدير',
+        'saved.import': 'استيراد',
+        'saved.tag': 'الوسم',
+        'saved.allTags': 'جميع الوسوم',
+        'saved.save': '☆ حفظ',
+        'saved.saved': '★ محفوظ',
+        'saved.saveLabel': 'حفظ «{title}»',
+        'saved.savedOn': '🔖 حُفظ في {date}',
+        'saved.empty': 'لم تحفظ أي منشورات بعد. استخدم زر ☆ حفظ في أي منشور للاحتفاظ به هنا.',
+        'saved.noneTagged': 'لا توجد منشورات محفوظة موسومة بـ«{tag}».',
+        'saved.countTagged': '{shown} من {total} منشورًا محفوظًا موسومًا بـ«{tag}»',
+        'saved.count': {
+            zero: 'لا توجد منشورات محفوظة',
+            one: 'منشور محفوظ واحد',
+            two: 'منشوران محفوظان',
+            few: '{count} منشورات محفوظة',
+            many: '{count} منشورًا محفوظًا',
+            other: '{count} منشور محفوظ'
+        },
+        'saved.storageError': 'تعذر حفظ إشاراتك المرجعية على هذا الجهاز.',
+        'saved.invalidJson': 'هذا الملف ليس بتنسيق JSON صالح.',
+        'saved.notExport': 'هذا الملف ليس ملف تصدير للمنشورات المحفوظة من PostHub.',
+        'saved.newerVersion': 'تم تصدير هذا الملف من إصدار أحدث من PostHub.',
+        'saved.imported': {
+            zero: 'لم يُستورد أي منشور محفوظ جديد',
+            one: 'تم استيراد منشور محفوظ جديد واحد',
+            two: 'تم استيراد منشورَين محفوظَين جديدَين',
+            few: 'تم استيراد {count} منشورات محفوظة جديدة',
+            many: 'تم استيراد {count} منشورًا محفوظًا جديدًا',
+            other: 'تم استيراد {count} منشور محفوظ جديد'
+        },
+        'saved.importUpdated': 'تحديث {count}',
+        'saved.importSkipped': {
+            zero: 'لم يُتخطَّ أي إدخال',
+            one: 'تخطي إدخال واحد غير صالح',
+            two: 'تخطي إدخالَين غير صالحَين',
+            few: 'تخطي {count} إدخالات غير صالحة',
+            many: 'تخطي {count} إدخالًا غير صالح',
+            other: 'تخطي {count} إدخال غير صالح'
+        },
+
+        // Composer
+        'composer.newTitle': 'منشور جديد',
+        'composer.editTitle': 'تعديل المنشور',
+        'composer.titleLabel': 'العنوان *',
+        'composer.titlePlaceholder': 'اختر عنوانًا لمنشورك',
+        'composer.bodyLabel': 'المنشور *',
+        'composer.bodyPlaceholder': 'بماذا تفكر؟',
+        'composer.tagsLabel': 'الوسوم',
+        'composer.tagsPlaceholder': 'history, love, mystery',
+        'composer.tagsHint': 'افصل بين الوسوم بفواصل.',
+        'composer.publish': 'نشر المنشور',
+        'composer.saveChanges': 'حفظ التغييرات',
+        'composer.loadError': 'تعذر تحميل المنشور لتعديله. يرجى المحاولة مرة أخرى.',
+        'composer.titleTooShort': 'يجب ألا يقل العنوان عن {min} أحرف.',
+        'composer.titleTooLong': 'يجب ألا يزيد العنوان عن {max} حرف.',
+        'composer.bodyTooShort': 'يجب ألا يقل المنشور عن {min} أحرف.',
+        'composer.bodyTooLong': 'يجب ألا يزيد المنشور عن {max} حرف.',
+        'composer.tooManyTags': 'استخدم {max} وسوم كحد أقصى.',
+        'composer.invalidTags': 'يمكن أن تحتوي الوسوم على أحرف وأرقام وشرطات فقط (30 حرفًا كحد أقصى لكل وسم).',
+        'composer.published': 'تم نشر منشورك.',
+        'composer.publishError': 'تعذر نشر منشورك. يرجى المحاولة مرة أخرى.',
+        'composer.saved': 'تم حفظ تغييراتك.',
+        'composer.saveError': 'تعذر حفظ تغييراتك. يرجى المحاولة مرة أخرى.',
+        'composer.confirmDelete': 'هل تريد حذف هذا المنشور؟ لا يمكن التراجع عن ذلك.',
+        'composer.deleted': 'تم حذف المنشور.',
+        'composer.deleteError': 'تعذر حذف المنشور. يرجى المحاولة مرة أخرى.',
+
+        // Post detail and comments
+        'detail.loading': 'جارٍ تحميل المنشور...',
+        'detail.deleted': 'تم حذف هذا المنشور.',
+        'detail.error': 'تعذر تحميل المنشور. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+        'comments.title': 'التعليقات',
+        'comments.titleCount': 'التعليقات ({count})',
+        'comments.addLabel': 'أضف تعليقًا',
+        'comments.placeholder': 'شارك أفكارك...',
+        'comments.submit': 'نشر التعليق',
+        'comments.loading': 'جارٍ تحميل التعليقات...',
+        'comments.error': 'تعذر تحميل التعليقات. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+        'comments.empty': 'لا توجد تعليقات على هذا المنشور.',
+        'comments.required': 'يرجى كتابة شيء أولًا.',
+        'comments.tooLong': 'يجب ألا يزيد التعليق عن {max} حرف.',
+        'comments.viewProfile': 'عرض الملف الشخصي لـ{name}',
+        'comments.sending': 'جارٍ الإرسال...',
+        'comments.failed': 'تعذر الإرسال.',
+        'comments.discard': 'تجاهل',
+        'comments.reply': '↩️ رد',
+        'comments.replyTo': 'الرد على @{username}',
+        'comments.replyPlaceholder': 'الرد على @{username}...',
+        'comments.sendReply': 'رد',
+        'comments.you': 'أنت',
+        'comments.youUsername': 'أنت',
+
+        // Profiles
+        'profile.dialogLabel': 'الملف الشخصي للمستخدم',
+        'profile.close': 'إغلاق الملف الشخصي',
+        'profile.loading': 'جارٍ تحميل الملف الشخصي...',
+        'profile.notFound': 'المستخدم غير موجود.',
+        'profile.email': '📧 البريد الإلكتروني:',
+        'profile.address': '📍 العنوان:',
+        'profile.phone': '📞 الهاتف:',
+        'profile.age': '🎂 العمر:',
+        'profile.eyeColor': '👁️ لون العينين:',
+        'profile.height': '📏 الطول:',
+        'profile.weight': '⚖️ الوزن:',
+        'profile.bloodType': '🩸 فصيلة الدم:',
+        'profile.heightValue': '{height} سم',
+        'profile.weightValue': '{weight} كغ',
+        'profile.viewFull': 'عرض الملف الشخصي الكامل ←',
+        'profile.modalError': 'تعذر تحميل الملف الشخصي. يرجى التحقق من اتصالك بالإنترنت والمحاولة مرة أخرى.',
+        'profile.error': 'تعذر تحميل الملف الشخصي. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+        'profile.summary': '🎂 العمر: {age} | 👁️ لون العينين: {eyeColor} | {height} سم',
+        'profile.postsTitle': 'منشورات المستخدم',
+        'profile.postsLoading': 'جارٍ تحميل منشورات المستخدم...',
+        'profile.postsError': 'تعذر تحميل منشورات المستخدم. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+        'profile.noPosts': 'لا توجد منشورات لهذا المستخدم.',
+        'profile.activityLoading': 'جارٍ تحميل النشاط...',
+        'profile.activityError': 'تعذر تحميل النشاط. يرجى التحقق من اتصالك والمحاولة مرة أخرى.',
+        'profile.statPosts': { one: 'منشور', two: 'منشوران', few: 'منشورات', other: 'منشور' },
+        'profile.statLikes': 'الإعجابات المستلمة',
+        'profile.statViews': 'المشاهدات',
+        'profile.statComments': { one: 'تعليق مكتوب', two: 'تعليقان مكتوبان', few: 'تعليقات مكتوبة', other: 'تعليق مكتوب' },
+        'profile.topTags': 'الوسوم الأكثر استخدامًا',
+        'profile.tagCountLabel': {
+            zero: '{tag}، غير مستخدم في أي منشور',
+            one: '{tag}، مستخدم في منشور واحد',
+            two: '{tag}، مستخدم في منشورَين',
+            few: '{tag}، مستخدم في {count} منشورات',
+            many: '{tag}، مستخدم في {count} منشورًا',
+            other: '{tag}، مستخدم في {count} منشور'
+        },
+        'profile.recentComments': 'أحدث التعليقات',
+        'profile.onPost': 'على المنشور #{id}',
+
+        // Contact form
+        'contact.title': 'اتصل بنا',
+        'contact.intro': 'هل لديك سؤال أو تريد التواصل معنا؟ أرسل لنا رسالة!',
+        'contact.nameLabel': 'الاسم *',
+        'contact.namePlaceholder': 'أدخل اسمك',
+        'contact.emailLabel': 'البريد الإلكتروني *',
+        'contact.emailPlaceholder': 'your.email@example.com',
+        'contact.messageLabel': 'الرسالة *',
+        'contact.messagePlaceholder': 'اكتب رسالتك هنا...',
+        'contact.confirmLabel': 'أؤكد أنني أريد إرسال هذه الرسالة *',
+        'contact.send': 'إرسال الرسالة',
+        'contact.sending': 'جارٍ الإرسال...',
+        'contact.success': 'تم إرسال الرسالة بنجاح! سنعود إليك قريبًا.',
+        'contact.queued': 'تعذر الوصول إلى الخادم، لذا حُفظت رسالتك على هذا الجهاز. ستُرسل تلقائيًا عند عودة الاتصال.',
+        'contact.failed': 'تعذر إرسال رسالتك. يرجى التحقق من بياناتك والمحاولة مرة أخرى.',
+        'contact.nameTooShort': 'يجب ألا يقل الاسم عن {min} أحرف.',
+        'contact.nameInvalid': 'يمكن أن يحتوي الاسم على أحرف ومسافات وشرطات وفواصل عليا فقط.',
+        'contact.emailRequired': 'يرجى إدخال عنوان بريدك الإلكتروني.',
+        'contact.emailInvalid': 'يرجى إدخال عنوان بريد إلكتروني صالح، مثل name@example.com.',
+        'contact.messageTooShort': 'يجب ألا تقل الرسالة عن {min} أحرف.',
+        'contact.messageTooLong': 'يجب ألا تزيد الرسالة عن {max} حرف.',
+        'contact.confirmRequired': 'يرجى تأكيد رغبتك في إرسال هذه الرسالة.',
+        'contact.cooldown': 'لقد أرسلت رسالة للتو. يرجى الانتظار قليلًا قبل إرسال رسالة أخرى.',
+        'contact.hourlyLimit': 'لقد أرسلت عدة رسائل خلال الساعة الماضية. يرجى المحاولة لاحقًا.',
+        'contact.outboxRejected': 'رفض الخادم رسالة تواصل محفوظة وتعذر إرسالها.',
+        'contact.outboxSent': {
+            one: 'تم إرسال رسالتك المحفوظة.',
+            two: 'تم إرسال رسالتَيك المحفوظتَين.',
+            few: 'تم إرسال {count} رسائل محفوظة.',
+            many: 'تم إرسال {count} رسالة محفوظة.',
+            other: 'تم إرسال {count} رسالة محفوظة.'
+        }
+    }
+});
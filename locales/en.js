@@ -0,0 +1,294 @@
+// English - the source catalog. Every key the UI uses is defined here, and
+// other languages fall back to it for anything they don't translate.
+registerLocale('en', {
+    name: 'English',
+    dir: 'ltr',
+    messages: {
+        // Header and navigation
+        'nav.home': 'Home',
+        'nav.posts': 'Posts',
+        'nav.tags': 'Tags',
+        'nav.users': 'Users',
+        'nav.saved': 'Saved',
+        'nav.contact': 'Contact',
+        'settings.theme': 'Theme',
+        'settings.themeSystem': '🖥️ System',
+        'settings.themeLight': '☀️ Light',
+        'settings.themeDark': '🌙 Dark',
+        'settings.language': 'Language',
+
+        // Shared
+        'common.loading': 'Loading...',
+        'common.retry': 'Retry',
+        'common.tryAgain': 'Try again',
+        'common.cancel': 'Cancel',
+        'common.loadMorePosts': 'Load More Posts',
+        'common.backToPosts': '← Back to Posts',
+        'common.unknownUser': 'User {id}',
+        'offline.banner': "📡 You're offline - showing cached data where available.",
+        'offline.title': "📡 You're offline",
+        'offline.body': "This page hasn't been saved for offline reading yet. Posts you've opened before are still available.",
+        'offline.goToPosts': 'Go to Posts',
+        'update.available': 'A new version of PostHub is available.',
+        'update.reload': 'Reload',
+        'update.later': 'Later',
+
+        // Home
+        'home.title': 'Welcome to Our Community Blog',
+        'home.intro': 'Explore posts from our vibrant community, discover interesting content, and connect with amazing authors. Click on any post to read the full content and join the conversation in the comments!',
+        'home.howTo': 'How to use this app',
+        'home.browseLabel': 'Browse Posts:',
+        'home.browse': 'Navigate to the Posts page to view all posts',
+        'home.readLabel': 'Read Details:',
+        'home.read': 'Click on a post title to view the full content and comments',
+        'home.profilesLabel': 'View Profiles:',
+        'home.profiles': "Click on an author's name to see their profile and all their posts",
+        'home.navigateLabel': 'Navigate:',
+        'home.navigate': 'Use the navigation menu above to switch between sections',
+        'home.keyboardLabel': 'Keyboard:',
+        'home.keyboard': 'Press {help} to see the keyboard shortcuts, or {palette} to jump to any post or user',
+
+        // Feed
+        'feed.title': 'Latest Posts',
+        'feed.newPost': '✏️ New Post',
+        'feed.sortBy': 'Sort by',
+        'feed.defaultOrder': 'Default order',
+        'feed.sortLikes': 'Likes',
+        'feed.sortDislikes': 'Dislikes',
+        'feed.sortViews': 'Views',
+        'feed.sortTitle': 'Title',
+        'feed.order': 'Order',
+        'feed.descending': 'Descending',
+        'feed.ascending': 'Ascending',
+        'feed.minReactions': 'Min. reactions',
+        'feed.author': 'Author',
+        'feed.allAuthors': 'All authors',
+        'feed.infiniteScroll': 'Infinite scroll',
+        'feed.loading': 'Loading posts...',
+        'feed.empty': 'No posts available at the moment.',
+        'feed.error': 'Failed to load posts. Please check your internet connection and try again.',
+        'feed.noMatches': 'None of the loaded posts match these filters. Try loading more or loosening the filters.',
+
+        // Post cards
+        'post.likes': { one: '❤️ {count} like', other: '❤️ {count} likes' },
+        'post.likesUnknown': '❤️ N/A likes',
+        'post.views': { one: '👁️ {views} view', other: '👁️ {views} views' },
+        'post.comments': { one: '💬 {count} comment', other: '💬 {count} comments' },
+        'post.saving': 'Saving...',
+        'post.edit': '✏️ Edit',
+        'post.delete': '🗑️ Delete',
+        'post.like': 'Like',
+        'post.dislike': 'Dislike',
+        'post.reactionLabel': '{label} ({count})',
+
+        // Search
+        'search.label': 'Search posts',
+        'search.placeholder': 'Search posts...',
+        'search.searching': 'Searching...',
+        'search.noResults': 'No posts match "{query}".',
+        'search.showing': 'Showing {shown} of {total} posts matching "{query}"',
+        'search.total': { one: '{count} post matching "{query}"', other: '{count} posts matching "{query}"' },
+        'search.error': 'Search failed. Please check your connection and try again.',
+
+        // Tags
+        'tags.title': 'Browse Tags',
+        'tags.allTags': '← All Tags',
+        'tags.postsTagged': 'Posts tagged "{tag}"',
+        'tags.noPosts': 'No posts tagged "{tag}" yet.',
+        'tags.feedError': 'Failed to load posts for this tag. Please check your connection and try again.',
+        'tags.loading': 'Loading tags...',
+        'tags.empty': 'No tags available at the moment.',
+        'tags.summary': {
+            one: 'Tag counts are based on the {count} post you have loaded so far.',
+            other: 'Tag counts are based on the {count} posts you have loaded so far.'
+        },
+        'tags.summaryEmpty': 'Browse some posts to see how often each tag is used.',
+        'tags.countLabel': { one: '{tag}, used in {count} loaded post', other: '{tag}, used in {count} loaded posts' },
+        'tags.error': 'Failed to load tags. Please check your connection and try again.',
+
+        // User directory
+        'users.title': 'Users',
+        'users.searchLabel': 'Search users by name',
+        'users.searchPlaceholder': 'Search users by name...',
+        'users.sortName': 'Name',
+        'users.sortAge': 'Age',
+        'users.state': 'State',
+        'users.allStates': 'All states',
+        'users.city': 'City',
+        'users.allCities': 'All cities',
+        'users.bloodGroup': 'Blood group',
+        'users.allBloodGroups': 'All blood groups',
+        'users.loadMore': 'Load More Users',
+        'users.loading': 'Loading users...',
+        'users.error': 'Failed to load users. Please check your connection and try again.',
+        'users.empty': 'No users to show yet.',
+        'users.noMatches': 'No users match your search and filters.',
+        'users.showing': { one: 'Showing {shown} of {count} user', other: 'Showing {shown} of {count} users' },
+        'users.age': { one: '{count} year old', other: '{count} years old' },
+        'users.viewPosts': 'View posts →',
+        'users.viewPostsLabel': 'View posts by {name}',
+
+        // Command palette
+        'palette.label': 'Command palette',
+        'palette.inputLabel': 'Jump to a page, post or user',
+        'palette.placeholder': 'Jump to a post or user by id or title...',
+        'palette.results': 'Results',
+        'palette.hint': '↑ ↓ to choose · Enter to open · Esc to close',
+        'palette.page': 'Page',
+        'palette.newPost': 'New post',
+        'palette.post': 'Post #{id}',
+        'palette.user': 'User #{id}',
+        'palette.noMatches': 'No matches',
+        'palette.error': 'Could not search posts and users. Please check your connection.',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.close': 'Close keyboard shortcuts',
+        'shortcuts.move': 'Next / previous post',
+        'shortcuts.open': 'Open the selected post',
+        'shortcuts.author': "Open the author's profile",
+        'shortcuts.search': 'Search',
+        'shortcuts.home': 'Go to Home',
+        'shortcuts.posts': 'Go to Posts',
+        'shortcuts.tags': 'Go to Tags',
+        'shortcuts.users': 'Go to Users',
+        'shortcuts.palette': 'Jump to a post, user or page',
+        'shortcuts.help': 'Show this list',
+        'shortcuts.escape': 'Close a dialog',
+
+        // Saved posts
+        'saved.title': 'Saved Posts',
+        'saved.export': 'Export',
+        'saved.import': 'Import',
+        'saved.tag': 'Tag',
+        'saved.allTags': 'All tags',
+        'saved.save': '☆ Save',
+        'saved.saved': '★ Saved',
+        'saved.saveLabel': 'Save "{title}"',
+        'saved.savedOn': '🔖 Saved {date}',
+        'saved.empty': "You haven't saved any posts yet. Use the ☆ Save button on a post to keep it here.",
+        'saved.noneTagged': 'No saved posts tagged "{tag}".',
+        'saved.countTagged': '{shown} of {total} saved posts tagged "{tag}"',
+        'saved.count': { one: '{count} saved post', other: '{count} saved posts' },
+        'saved.storageError': 'Could not save your bookmarks on this device.',
+        'saved.invalidJson': "That file isn't valid JSON.",
+        'saved.notExport': "That file isn't a PostHub saved posts export.",
+        'saved.newerVersion': 'That file was exported by a newer version of PostHub.',
+        'saved.imported': { one: 'Imported {count} new saved post', other: 'Imported {count} new saved posts' },
+        'saved.importUpdated': 'updated {count}',
+        'saved.importSkipped': { one: 'skipped {count} invalid entry', other: 'skipped {count} invalid entries' },
+
+        // Composer
+        'composer.newTitle': 'New Post',
+        'composer.editTitle': 'Edit Post',
+        'composer.titleLabel': 'Title *',
+        'composer.titlePlaceholder': 'Give your post a title',
+        'composer.bodyLabel': 'Post *',
+        'composer.bodyPlaceholder': "What's on your mind?",
+        'composer.tagsLabel': 'Tags',
+        'composer.tagsPlaceholder': 'history, love, mystery',
+        'composer.tagsHint': 'Separate tags with commas.',
+        'composer.publish': 'Publish Post',
+        'composer.saveChanges': 'Save Changes',
+        'composer.loadError': 'Failed to load that post for editing. Please try again.',
+        'composer.titleTooShort': 'Title must be at least {min} characters.',
+        'composer.titleTooLong': 'Title can be at most {max} characters.',
+        'composer.bodyTooShort': 'Post must be at least {min} characters.',
+        'composer.bodyTooLong': 'Post can be at most {max} characters.',
+        'composer.tooManyTags': 'Use at most {max} tags.',
+        'composer.invalidTags': 'Tags can only contain letters, numbers and dashes (max 30 characters each).',
+        'composer.published': 'Your post was published.',
+        'composer.publishError': 'Failed to publish your post. Please try again.',
+        'composer.saved': 'Your changes were saved.',
+        'composer.saveError': 'Failed to save your changes. Please try again.',
+        'composer.confirmDelete': 'Delete this post? This cannot be undone.',
+        'composer.deleted': 'The post was deleted.',
+        'composer.deleteError': 'Failed to delete the post. Please try again.',
+
+        // Post detail and comments
+        'detail.loading': 'Loading post...',
+        'detail.deleted': 'This post has been deleted.',
+        'detail.error': 'Failed to load post. Please check your connection and try again.',
+        'comments.title': 'Comments',
+        'comments.titleCount': 'Comments ({count})',
+        'comments.addLabel': 'Add a comment',
+        'comments.placeholder': 'Share your thoughts...',
+        'comments.submit': 'Post Comment',
+        'comments.loading': 'Loading comments...',
+        'comments.error': 'Failed to load comments. Please check your connection and try again.',
+        'comments.empty': 'No comments available for this post.',
+        'comments.required': 'Please write something first.',
+        'comments.tooLong': 'Comments can be at most {max} characters.',
+        'comments.viewProfile': "View {name}'s profile",
+        'comments.sending': 'Sending...',
+        'comments.failed': 'Failed to send.',
+        'comments.discard': 'Discard',
+        'comments.reply': '↩️ Reply',
+        'comments.replyTo': 'Reply to @{username}',
+        'comments.replyPlaceholder': 'Reply to @{username}...',
+        'comments.sendReply': 'Reply',
+        'comments.you': 'You',
+        'comments.youUsername': 'you',
+
+        // Profiles
+        'profile.dialogLabel': 'User profile',
+        'profile.close': 'Close profile',
+        'profile.loading': 'Loading profile...',
+        'profile.notFound': 'User not found.',
+        'profile.email': '📧 Email:',
+        'profile.address': '📍 Address:',
+        'profile.phone': '📞 Phone:',
+        'profile.age': '🎂 Age:',
+        'profile.eyeColor': '👁️ Eye Color:',
+        'profile.height': '📏 Height:',
+        'profile.weight': '⚖️ Weight:',
+        'profile.bloodType': '🩸 Blood Type:',
+        'profile.heightValue': '{height} cm',
+        'profile.weightValue': '{weight} kg',
+        'profile.viewFull': 'View full profile →',
+        'profile.modalError': 'Failed to load profile. Please check your internet connection and try again.',
+        'profile.error': 'Failed to load profile. Please check your connection and try again.',
+        'profile.summary': '🎂 Age: {age} | 👁️ {eyeColor} eyes | {height} cm',
+        'profile.postsTitle': 'User Posts',
+        'profile.postsLoading': 'Loading user posts...',
+        'profile.postsError': 'Failed to load user posts. Please check your connection and try again.',
+        'profile.noPosts': 'No posts available from this user.',
+        'profile.activityLoading': 'Loading activity...',
+        'profile.activityError': 'Failed to load activity. Please check your connection and try again.',
+        'profile.statPosts': { one: 'Post', other: 'Posts' },
+        'profile.statLikes': 'Likes received',
+        'profile.statViews': 'Views',
+        'profile.statComments': { one: 'Comment written', other: 'Comments written' },
+        'profile.topTags': 'Most-used tags',
+        'profile.tagCountLabel': { one: '{tag}, used in {count} post', other: '{tag}, used in {count} posts' },
+        'profile.recentComments': 'Recent comments',
+        'profile.onPost': 'On post #{id}',
+
+        // Contact form
+        'contact.title': 'Contact Us',
+        'contact.intro': 'Have a question or want to get in touch? Send us a message!',
+        'contact.nameLabel': 'Name *',
+        'contact.namePlaceholder': 'Enter your name',
+        'contact.emailLabel': 'Email *',
+        'contact.emailPlaceholder': 'your.email@example.com',
+        'contact.messageLabel': 'Message *',
+        'contact.messagePlaceholder': 'Write your message here...',
+        'contact.confirmLabel': 'I confirm that I want to send this message *',
+        'contact.send': 'Send Message',
+        'contact.sending': 'Sending...',
+        'contact.success': "Message sent successfully! We'll get back to you soon.",
+        'contact.queued': "We couldn't reach the server, so your message is saved on this device. It will be sent automatically once the connection is back.",
+        'contact.failed': 'Your message could not be sent. Please check your details and try again.',
+        'contact.nameTooShort': 'Name must be at least {min} characters.',
+        'contact.nameInvalid': 'Name can only contain letters, spaces, hyphens and apostrophes.',
+        'contact.emailRequired': 'Please enter your email address.',
+        'contact.emailInvalid': 'Please enter a valid email address, like name@example.com.',
+        'contact.messageTooShort': 'Message must be at least {min} characters.',
+        'contact.messageTooLong': 'Message can be at most {max} characters.',
+        'contact.confirmRequired': 'Please confirm that you want to send this message.',
+        'contact.cooldown': 'You just sent a message. Please wait a moment before sending another one.',
+        'contact.hourlyLimit': "You've sent several messages in the last hour. Please try again later.",
+        'contact.outboxRejected': 'A saved contact message was rejected by the server and could not be sent.',
+        'contact.outboxSent': { one: 'Your saved message has been sent.', other: 'Your {count} saved messages have been sent.' }
+    }
+});
@@ -0,0 +1,293 @@
+// Swedish
+registerLocale('sv', {
+    name: 'Svenska',
+    dir: 'ltr',
+    messages: {
+        // Header and navigation
+        'nav.home': 'Hem',
+        'nav.posts': 'Inlägg',
+        'nav.tags': 'Taggar',
+        'nav.users': 'Användare',
+        'nav.saved': 'Sparade',
+        'nav.contact': 'Kontakt',
+        'settings.theme': 'Tema',
+        'settings.themeSystem': '🖥️ System',
+        'settings.themeLight': '☀️ Ljust',
+        'settings.themeDark': '🌙 Mörkt',
+        'settings.language': 'Språk',
+
+        // Shared
+        'common.loading': 'Laddar...',
+        'common.retry': 'Försök igen',
+        'common.tryAgain': 'Försök igen',
+        'common.cancel': 'Avbryt',
+        'common.loadMorePosts': 'Visa fler inlägg',
+        'common.backToPosts': '← Tillbaka till inläggen',
+        'common.unknownUser': 'Användare {id}',
+        'offline.banner': '📡 Du är offline - visar sparad data där det finns.',
+        'offline.title': '📡 Du är offline',
+        'offline.body': 'Den här sidan har inte sparats för läsning offline än. Inlägg du har öppnat tidigare finns fortfarande kvar.',
+        'offline.goToPosts': 'Gå till inläggen',
+        'update.available': 'En ny version av PostHub finns tillgänglig.',
+        'update.reload': 'Ladda om',
+        'update.later': 'Senare',
+
+        // Home
+        'home.title': 'Välkommen till vår community-blogg',
+        'home.intro': 'Utforska inlägg från vår livliga community, upptäck intressant innehåll och kom i kontakt med fantastiska skribenter. Klicka på ett inlägg för att läsa hela texten och delta i diskussionen i kommentarerna!',
+        'home.howTo': 'Så använder du appen',
+        'home.browseLabel': 'Bläddra bland inlägg:',
+        'home.browse': 'Gå till sidan Inlägg för att se alla inlägg',
+        'home.readLabel': 'Läs mer:',
+        'home.read': 'Klicka på en rubrik för att se hela inlägget och kommentarerna',
+        'home.profilesLabel': 'Visa profiler:',
+        'home.profiles': 'Klicka på en skribents namn för att se profilen och alla skribentens inlägg',
+        'home.navigateLabel': 'Navigera:',
+        'home.navigate': 'Använd menyn ovan för att byta avsnitt',
+        'home.keyboardLabel': 'Tangentbord:',
+        'home.keyboard': 'Tryck {help} för att se kortkommandona, eller {palette} för att hoppa till ett inlägg eller en användare',
+
+        // Feed
+        'feed.title': 'Senaste inläggen',
+        'feed.newPost': '✏️ Nytt inlägg',
+        'feed.sortBy': 'Sortera efter',
+        'feed.defaultOrder': 'Standardordning',
+        'feed.sortLikes': 'Gilla-markeringar',
+        'feed.sortDislikes': 'Ogilla-markeringar',
+        'feed.sortViews': 'Visningar',
+        'feed.sortTitle': 'Rubrik',
+        'feed.order': 'Ordning',
+        'feed.descending': 'Fallande',
+        'feed.ascending': 'Stigande',
+        'feed.minReactions': 'Minst antal reaktioner',
+        'feed.author': 'Skribent',
+        'feed.allAuthors': 'Alla skribenter',
+        'feed.infiniteScroll': 'Oändlig rullning',
+        'feed.loading': 'Laddar inlägg...',
+        'feed.empty': 'Det finns inga inlägg just nu.',
+        'feed.error': 'Det gick inte att ladda inläggen. Kontrollera din internetanslutning och försök igen.',
+        'feed.noMatches': 'Inga av de laddade inläggen matchar filtren. Ladda fler eller lätta på filtren.',
+
+        // Post cards
+        'post.likes': { one: '❤️ {count} gillamarkering', other: '❤️ {count} gillamarkeringar' },
+        'post.likesUnknown': '❤️ – gillamarkeringar',
+        'post.views': { one: '👁️ {views} visning', other: '👁️ {views} visningar' },
+        'post.comments': { one: '💬 {count} kommentar', other: '💬 {count} kommentarer' },
+        'post.saving': 'Sparar...',
+        'post.edit': '✏️ Redigera',
+        'post.delete': '🗑️ Ta bort',
+        'post.like': 'Gilla',
+        'post.dislike': 'Ogilla',
+        'post.reactionLabel': '{label} ({count})',
+
+        // Search
+        'search.label': 'Sök inlägg',
+        'search.placeholder': 'Sök inlägg...',
+        'search.searching': 'Söker...',
+        'search.noResults': 'Inga inlägg matchar ”{query}”.',
+        'search.showing': 'Visar {shown} av {total} inlägg som matchar ”{query}”',
+        'search.total': { one: '{count} inlägg matchar ”{query}”', other: '{count} inlägg matchar ”{query}”' },
+        'search.error': 'Sökningen misslyckades. Kontrollera din anslutning och försök igen.',
+
+        // Tags
+        'tags.title': 'Bläddra bland taggar',
+        'tags.allTags': '← Alla taggar',
+        'tags.postsTagged': 'Inlägg taggade ”{tag}”',
+        'tags.noPosts': 'Inga inlägg är taggade ”{tag}” än.',
+        'tags.feedError': 'Det gick inte att ladda inläggen för den här taggen. Kontrollera din anslutning och försök igen.',
+        'tags.loading': 'Laddar taggar...',
+        'tags.empty': 'Det finns inga taggar just nu.',
+        'tags.summary': {
+            one: 'Antalet bygger på det {count} inlägg du har laddat hittills.',
+            other: 'Antalet bygger på de {count} inlägg du har laddat hittills.'
+        },
+        'tags.summaryEmpty': 'Bläddra bland några inlägg för att se hur ofta varje tagg används.',
+        'tags.countLabel': { one: '{tag}, används i {count} laddat inlägg', other: '{tag}, används i {count} laddade inlägg' },
+        'tags.error': 'Det gick inte att ladda taggarna. Kontrollera din anslutning och försök igen.',
+
+        // User directory
+        'users.title': 'Användare',
+        'users.searchLabel': 'Sök användare efter namn',
+        'users.searchPlaceholder': 'Sök användare efter namn...',
+        'users.sortName': 'Namn',
+        'users.sortAge': 'Ålder',
+        'users.state': 'Delstat',
+        'users.allStates': 'Alla delstater',
+        'users.city': 'Stad',
+        'users.allCities': 'Alla städer',
+        'users.bloodGroup': 'Blodgrupp',
+        'users.allBloodGroups': 'Alla blodgrupper',
+        'users.loadMore': 'Visa fler användare',
+        'users.loading': 'Laddar användare...',
+        'users.error': 'Det gick inte att ladda användarna. Kontrollera din anslutning och försök igen.',
+        'users.empty': 'Det finns inga användare att visa än.',
+        'users.noMatches': 'Inga användare matchar din sökning och dina filter.',
+        'users.showing': { one: 'Visar {shown} av {count} användare', other: 'Visar {shown} av {count} användare' },
+        'users.age': { one: '{count} år', other: '{count} år' },
+        'users.viewPosts': 'Visa inlägg →',
+        'users.viewPostsLabel': 'Visa inlägg av {name}',
+
+        // Command palette
+        'palette.label': 'Kommandopalett',
+        'palette.inputLabel': 'Hoppa till en sida, ett inlägg eller en användare',
+        'palette.placeholder': 'Hoppa till ett inlägg eller en användare via id eller rubrik...',
+        'palette.results': 'Resultat',
+        'palette.hint': '↑ ↓ för att välja · Enter för att öppna · Esc för att stänga',
+        'palette.page': 'Sida',
+        'palette.newPost': 'Nytt inlägg',
+        'palette.post': 'Inlägg #{id}',
+        'palette.user': 'Användare #{id}',
+        'palette.noMatches': 'Inga träffar',
+        'palette.error': 'Det gick inte att söka bland inlägg och användare. Kontrollera din anslutning.',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'Kortkommandon',
+        'shortcuts.close': 'Stäng kortkommandon',
+        'shortcuts.move': 'Nästa / föregående inlägg',
+        'shortcuts.open': 'Öppna det markerade inlägget',
+        'shortcuts.author': 'Öppna skribentens profil',
+        'shortcuts.search': 'Sök',
+        'shortcuts.home': 'Gå till Hem',
+        'shortcuts.posts': 'Gå till Inlägg',
+        'shortcuts.tags': 'Gå till Taggar',
+        'shortcuts.users': 'Gå till Användare',
+        'shortcuts.palette': 'Hoppa till ett inlägg, en användare eller en sida',
+        'shortcuts.help': 'Visa den här listan',
+        'shortcuts.escape': 'Stäng en dialogruta',
+
+        // Saved posts
+        'saved.title': 'Sparade inlägg',
+        'saved.export': 'Exportera',
+        'saved.import': 'Importera',
+        'saved.tag': 'Tagg',
+        'saved.allTags': 'Alla taggar',
+        'saved.save': '☆ Spara',
+        'saved.saved': '★ Sparad',
+        'saved.saveLabel': 'Spara ”{title}”',
+        'saved.savedOn': '🔖 Sparad {date}',
+        'saved.empty': 'Du har inte sparat några inlägg än. Använd knappen ☆ Spara på ett inlägg för att spara det här.',
+        'saved.noneTagged': 'Inga sparade inlägg är taggade ”{tag}”.',
+        'saved.countTagged': '{shown} av {total} sparade inlägg taggade ”{tag}”',
+        'saved.count': { one: '{count} sparat inlägg', other: '{count} sparade inlägg' },
+        'saved.storageError': 'Det gick inte att spara dina bokmärken på den här enheten.',
+        'saved.invalidJson': 'Filen är inte giltig JSON.',
+        'saved.notExport': 'Filen är inte en export av sparade inlägg från PostHub.',
+        'saved.newerVersion': 'Filen exporterades från en nyare version av PostHub.',
+        'saved.imported': { one: 'Importerade {count} nytt sparat inlägg', other: 'Importerade {count} nya sparade inlägg' },
+        'saved.importUpdated': 'uppdaterade {count}',
+        'saved.importSkipped': { one: 'hoppade över {count} ogiltig post', other: 'hoppade över {count} ogiltiga poster' },
+
+        // Composer
+        'composer.newTitle': 'Nytt inlägg',
+        'composer.editTitle': 'Redigera inlägg',
+        'composer.titleLabel': 'Rubrik *',
+        'composer.titlePlaceholder': 'Ge ditt inlägg en rubrik',
+        'composer.bodyLabel': 'Inlägg *',
+        'composer.bodyPlaceholder': 'Vad tänker du på?',
+        'composer.tagsLabel': 'Taggar',
+        'composer.tagsPlaceholder': 'history, love, mystery',
+        'composer.tagsHint': 'Skilj taggar åt med kommatecken.',
+        'composer.publish': 'Publicera inlägg',
+        'composer.saveChanges': 'Spara ändringar',
+        'composer.loadError': 'Det gick inte att ladda inlägget för redigering. Försök igen.',
+        'composer.titleTooShort': 'Rubriken måste vara minst {min} tecken.',
+        'composer.titleTooLong': 'Rubriken får vara högst {max} tecken.',
+        'composer.bodyTooShort': 'Inlägget måste vara minst {min} tecken.',
+        'composer.bodyTooLong': 'Inlägget får vara högst {max} tecken.',
+        'composer.tooManyTags': 'Använd högst {max} taggar.',
+        'composer.invalidTags': 'Taggar får bara innehålla bokstäver, siffror och bindestreck (högst 30 tecken var).',
+        'composer.published': 'Ditt inlägg har publicerats.',
+        'composer.publishError': 'Det gick inte att publicera ditt inlägg. Försök igen.',
+        'composer.saved': 'Dina ändringar har sparats.',
+        'composer.saveError': 'Det gick inte att spara dina ändringar. Försök igen.',
+        'composer.confirmDelete': 'Ta bort inlägget? Det går inte att ångra.',
+        'composer.deleted': 'Inlägget har tagits bort.',
+        'composer.deleteError': 'Det gick inte att ta bort inlägget. Försök igen.',
+
+        // Post detail and comments
+        'detail.loading': 'Laddar inlägg...',
+        'detail.deleted': 'Det här inlägget har tagits bort.',
+        'detail.error': 'Det gick inte att ladda inlägget. Kontrollera din anslutning och försök igen.',
+        'comments.title': 'Kommentarer',
+        'comments.titleCount': 'Kommentarer ({count})',
+        'comments.addLabel': 'Skriv en kommentar',
+        'comments.placeholder': 'Dela dina tankar...',
+        'comments.submit': 'Skicka kommentar',
+        'comments.loading': 'Laddar kommentarer...',
+        'comments.error': 'Det gick inte att ladda kommentarerna. Kontrollera din anslutning och försök igen.',
+        'comments.empty': 'Det finns inga kommentarer till det här inlägget.',
+        'comments.required': 'Skriv något först.',
+        'comments.tooLong': 'Kommentarer får vara högst {max} tecken.',
+        'comments.viewProfile': 'Visa profilen för {name}',
+        'comments.sending': 'Skickar...',
+        'comments.failed': 'Kunde inte skickas.',
+        'comments.discard': 'Släng',
+        'comments.reply': '↩️ Svara',
+        'comments.replyTo': 'Svara @{username}',
+        'comments.replyPlaceholder': 'Svara @{username}...',
+        'comments.sendReply': 'Svara',
+        'comments.you': 'Du',
+        'comments.youUsername': 'du',
+
+        // Profiles
+        'profile.dialogLabel': 'Användarprofil',
+        'profile.close': 'Stäng profilen',
+        'profile.loading': 'Laddar profil...',
+        'profile.notFound': 'Användaren hittades inte.',
+        'profile.email': '📧 E-post:',
+        'profile.address': '📍 Adress:',
+        'profile.phone': '📞 Telefon:',
+        'profile.age': '🎂 Ålder:',
+        'profile.eyeColor': '👁️ Ögonfärg:',
+        'profile.height': '📏 Längd:',
+        'profile.weight': '⚖️ Vikt:',
+        'profile.bloodType': '🩸 Blodgrupp:',
+        'profile.heightValue': '{height} cm',
+        'profile.weightValue': '{weight} kg',
+        'profile.viewFull': 'Visa hela profilen →',
+        'profile.modalError': 'Det gick inte att ladda profilen. Kontrollera din internetanslutning och försök igen.',
+        'profile.error': 'Det gick inte att ladda profilen. Kontrollera din anslutning och försök igen.',
+        'profile.summary': '🎂 Ålder: {age} | 👁️ Ögonfärg: {eyeColor} | {height} cm',
+        'profile.postsTitle': 'Användarens inlägg',
+        'profile.postsLoading': 'Laddar användarens inlägg...',
+        'profile.postsError': 'Det gick inte att ladda användarens inlägg. Kontrollera din anslutning och försök igen.',
+        'profile.noPosts': 'Den här användaren har inga inlägg.',
+        'profile.activityLoading': 'Laddar aktivitet...',
+        'profile.activityError': 'Det gick inte att ladda aktiviteten. Kontrollera din anslutning och försök igen.',
+        'profile.statPosts': { one: 'Inlägg', other: 'Inlägg' },
+        'profile.statLikes': 'Mottagna gillamarkeringar',
+        'profile.statViews': 'Visningar',
+        'profile.statComments': { one: 'Skriven kommentar', other: 'Skrivna kommentarer' },
+        'profile.topTags': 'Mest använda taggar',
+        'profile.tagCountLabel': { one: '{tag}, används i {count} inlägg', other: '{tag}, används i {count} inlägg' },
+        'profile.recentComments': 'Senaste kommentarerna',
+        'profile.onPost': 'På inlägg #{id}',
+
+        // Contact form
+        'contact.title': 'Kontakta oss',
+        'contact.intro': 'Har du en fråga eller vill komma i kontakt med oss? Skicka ett meddelande!',
+        'contact.nameLabel': 'Namn *',
+        'contact.namePlaceholder': 'Skriv ditt namn',
+        'contact.emailLabel': 'E-post *',
+        'contact.emailPlaceholder': 'din.epost@example.com',
+        'contact.messageLabel': 'Meddelande *',
+        'contact.messagePlaceholder': 'Skriv ditt meddelande här...',
+        'contact.confirmLabel': 'Jag bekräftar att jag vill skicka det här meddelandet *',
+        'contact.send': 'Skicka meddelande',
+        'contact.sending': 'Skickar...',
+        'contact.success': 'Meddelandet har skickats! Vi hör av oss snart.',
+        'contact.queued': 'Vi kunde inte nå servern, så ditt meddelande är sparat på den här enheten. Det skickas automatiskt när anslutningen är tillbaka.',
+        'contact.failed': 'Ditt meddelande kunde inte skickas. Kontrollera dina uppgifter och försök igen.',
+        'contact.nameTooShort': 'Namnet måste vara minst {min} tecken.',
+        'contact.nameInvalid': 'Namnet får bara innehålla bokstäver, mellanslag, bindestreck och apostrofer.',
+        'contact.emailRequired': 'Skriv din e-postadress.',
+        'contact.emailInvalid': 'Skriv en giltig e-postadress, till exempel namn@example.com.',
+        'contact.messageTooShort': 'Meddelandet måste vara minst {min} tecken.',
+        'contact.messageTooLong': 'Meddelandet får vara högst {max} tecken.',
+        'contact.confirmRequired': 'Bekräfta att du vill skicka det här meddelandet.',
+        'contact.cooldown': 'Du skickade precis ett meddelande. Vänta en stund innan du skickar ett till.',
+        'contact.hourlyLimit': 'Du har skickat flera meddelanden den senaste timmen. Försök igen senare.',
+        'contact.outboxRejected': 'Ett sparat kontaktmeddelande avvisades av servern och kunde inte skickas.',
+        'contact.outboxSent': { one: 'Ditt sparade meddelande har skickats.', other: 'Dina {count} sparade meddelanden har skickats.' }
+    }
+});
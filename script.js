@@ -2,12 +2,69 @@
 const appData = {
     posts: [],
     users: {}, // Object for easier lookup by ID
+    authors: {}, // userId -> name fields from the batched author lookup
     currentSkip: 0, // How many posts we've already loaded
     postsPerPage: 10, // Posts Limit
     totalPosts: 0, // Total posts available from API
     isLoading: false, // Track if we're currently loading
+    feedLoadFailed: false, // The last page failed - infinite scroll waits for Retry instead of looping
     currentPost: null, // Store currently viewed post
-    currentUser: null // Store currently viewed user
+    currentUser: null, // Store currently viewed user
+    postDetailController: null, // AbortController for the post detail being loaded
+    profileController: null, // AbortController for the profile being loaded
+    currentView: null, // Id of the visible .page section
+    selectedPostId: null, // Post card picked with the j/k shortcuts
+    savedTag: '', // Tag filter of the Saved view (mirrors ?tag= in #/saved)
+    feedScrollY: 0, // Scroll position of the feed when we last left it
+    feedMode: localStorage.getItem('posthub:feedMode') === 'infinite' ? 'infinite' : 'button',
+    search: {
+        query: '', // Active search query (mirrors ?q= in the URL)
+        controller: null // AbortController for the in-flight search
+    },
+    feedGeneration: 0, // Bumped whenever the feed is reset
+    feedOptions: {
+        sort: '', // '' keeps API order, otherwise a key of feedSortFields
+        order: 'desc',
+        minReactions: 0, // Minimum likes + dislikes
+        author: '' // Only show posts by this user id
+    },
+    viewerId: 1, // There's no login, so posts written here are attributed to this user
+    pendingPosts: new Set(), // Ids of posts whose create/update hasn't been confirmed yet
+    localPosts: new Map(), // postId -> post created this session, never fetched back (DummyJSON doesn't store it)
+    localEdits: {}, // postId -> fields edited this session, re-applied to refetched copies
+    comments: [], // Comments (and replies) for the post on the detail view
+    localComments: {}, // postId -> comments written this session
+    commentStatus: new Map(), // Local comment id -> 'pending' or 'failed'
+    commentCounts: {}, // postId -> number of comments, once we know it
+    deletedPostIds: new Set(), // Posts deleted this session, hidden from refetched pages
+    profilePosts: {
+        userId: null, // User whose posts are listed on the profile page
+        posts: [],
+        currentSkip: 0, // Paginated like the main feed
+        totalPosts: 0,
+        isLoading: false
+    },
+    tagFeed: {
+        tag: null, // Tag currently shown in the tag feed
+        posts: [],
+        currentSkip: 0, // Paginated separately from the main feed
+        totalPosts: 0,
+        isLoading: false,
+        generation: 0 // Bumped whenever the tag changes, so older requests are ignored
+    },
+    directory: {
+        users: null, // Public fields of every user, once loaded
+        options: {
+            query: '', // Name search (mirrors ?q= in #/users)
+            sort: 'name', // A key of directorySortFields
+            order: 'asc',
+            state: '',
+            city: '',
+            blood: ''
+        },
+        shown: 0, // How many of the matching users are on the page
+        isLoading: false
+    }
 };
 
 // ==================== Helper Functions for Safe DOM Creation ====================
@@ -71,30 +128,368 @@ function createHeading(level, textContent, className = '') {
 }
 
 /**
- * Clears all children from a container
+ * Creates the author link on a post, which opens the author's profile page
+ */
+function createAuthorLink(userId, name) {
+    const link = document.createElement('a');
+    link.className = 'author';
+    link.href = `#/users/${userId}`;
+    link.dataset.userId = userId;
+    link.textContent = `👤 ${name}`;
+    return link;
+}
+
+/**
+ * Creates a post card title that links to the post's detail page
+ */
+function createPostTitle(post, highlight = []) {
+    const title = createHeading(3, '', 'post-title');
+    title.dataset.postId = post.id;
+
+    // Posts that only exist locally have no detail page
+    if (typeof post.id !== 'number') {
+        title.appendChild(createHighlightedText(post.title, highlight));
+        return title;
+    }
+
+    const link = document.createElement('a');
+    link.className = 'post-title-link';
+    link.href = `#/posts/${post.id}`;
+    link.appendChild(createHighlightedText(post.title, highlight));
+    title.appendChild(link);
+    return title;
+}
+
+/**
+ * Creates a tag link that opens the feed of posts with that tag
+ */
+function createTagLink(tag) {
+    const link = document.createElement('a');
+    link.className = 'tag';
+    link.href = `#/tags/${encodeURIComponent(tag)}`;
+    link.textContent = tag;
+    return link;
+}
+
+/**
+ * Clears all children from a container (ending any loading state in it)
  */
 function clearContainer(container) {
     while (container.firstChild) {
         container.removeChild(container.firstChild);
     }
+    container.removeAttribute('aria-busy');
+}
+
+/**
+ * Builds text with every occurrence of the given terms wrapped in <mark>.
+ * Uses text nodes only, so user input can never inject markup.
+ */
+function createHighlightedText(text, terms = []) {
+    const fragment = document.createDocumentFragment();
+    const cleanTerms = terms.filter(term => term.length > 0);
+
+    if (cleanTerms.length === 0) {
+        fragment.appendChild(document.createTextNode(text));
+        return fragment;
+    }
+
+    // Escape regex characters and match any of the terms, longest first
+    const pattern = cleanTerms
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    const parts = text.split(new RegExp(`(${pattern})`, 'gi'));
+
+    parts.forEach((part, index) => {
+        if (!part) return;
+        // split() puts captured matches at odd indexes
+        if (index % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = part;
+            fragment.appendChild(mark);
+        } else {
+            fragment.appendChild(document.createTextNode(part));
+        }
+    });
+
+    return fragment;
+}
+
+/**
+ * Returns a function that only runs fn once calls have stopped for `delay` ms
+ */
+function debounce(fn, delay) {
+    let timeoutId = null;
+    return (...args) => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => fn(...args), delay);
+    };
+}
+
+// ==================== Async States ====================
+// Loading, error and empty states look the same everywhere: skeletons shaped
+// like the content on its way, errors with a Retry button that runs the
+// failed loader again, and a short message when there's nothing to show.
+
+/**
+ * Creates a grey placeholder shaped like a 'post', 'post-detail', 'comment', 'profile', 'stats' or 'tags'
+ */
+function createSkeleton(kind) {
+    const skeleton = createDiv(`skeleton skeleton-${kind}`);
+    skeleton.setAttribute('aria-hidden', 'true');
+
+    const addLine = (width, className = '') => {
+        const line = createDiv(className ? `skeleton-line ${className}` : 'skeleton-line');
+        line.style.width = width;
+        skeleton.appendChild(line);
+    };
+
+    switch (kind) {
+        case 'comment':
+            addLine('25%', 'skeleton-heading');
+            addLine('95%');
+            addLine('70%');
+            break;
+        case 'profile':
+            skeleton.appendChild(createDiv('skeleton-avatar'));
+            addLine('45%', 'skeleton-title');
+            addLine('30%');
+            addLine('60%');
+            break;
+        case 'stats':
+            for (let i = 0; i < 4; i++) {
+                skeleton.appendChild(createDiv('skeleton-line skeleton-stat'));
+            }
+            break;
+        case 'tags':
+            ['70px', '90px', '60px', '110px', '80px', '65px', '95px'].forEach(width => addLine(width, 'skeleton-pill'));
+            break;
+        default: // 'post' and 'post-detail'
+            addLine('70%', 'skeleton-title');
+            addLine('40%');
+            addLine('100%');
+            addLine('95%');
+            addLine('60%');
+            if (kind === 'post-detail') {
+                addLine('100%');
+                addLine('85%');
+            }
+    }
+
+    return skeleton;
+}
+
+/**
+ * Replaces a container's content with `count` skeletons while something loads.
+ * `label` is what screen readers hear instead.
+ */
+function showLoadingState(container, kind, { count = 1, label = t('common.loading') } = {}) {
+    clearContainer(container);
+    container.setAttribute('aria-busy', 'true');
+    container.appendChild(createSpan('visually-hidden', label));
+    for (let i = 0; i < count; i++) {
+        container.appendChild(createSkeleton(kind));
+    }
+}
+
+/**
+ * Creates an error message. With `retry`, it gets a Retry button that
+ * removes the message and calls retry() - pass the loader that failed.
+ */
+function createErrorState(message, retry = null) {
+    const errorState = createDiv('error-state');
+    errorState.setAttribute('role', 'alert');
+    errorState.appendChild(createParagraph(message));
+
+    if (retry) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'retry-button';
+        retryButton.textContent = t('common.retry');
+        retryButton.addEventListener('click', () => {
+            errorState.remove();
+            retry();
+        });
+        errorState.appendChild(retryButton);
+    }
+
+    return errorState;
+}
+
+/**
+ * Replaces a container's content with an error message (see createErrorState)
+ */
+function showErrorState(container, message, retry = null) {
+    clearContainer(container);
+    container.appendChild(createErrorState(message, retry));
+}
+
+/**
+ * Creates the message shown when there's nothing to list
+ */
+function createEmptyState(message) {
+    return createDiv('empty-state', message);
+}
+
+/**
+ * Replaces a container's content with an empty-state message
+ */
+function showEmptyState(container, message) {
+    clearContainer(container);
+    container.appendChild(createEmptyState(message));
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+    setupLanguageSwitcher();
+    setupThemeSwitcher();
     setupNavigation();
     setupLoadMoreButton();
+    setupInfiniteScroll();
+    setupTagFeed();
+    setupUserDirectory();
+    setupSavedPosts();
     setupContactForm();
+    setupComposer();
+    setupCommentForm();
+    setupOfflineIndicator();
+    setupServiceWorker();
     setupModal();
-
-    // Check if there's a hash in URL (e.g., #posts)
-    const hash = window.location.hash.slice(1) || 'home';
-    showView(hash);
+    setupKeyboardShortcuts();
+    setupCommandPalette();
+    setupProfilePage();
+    setupSearch();
+    setupFeedControls();
+    setupRouter();
 
     //Back button from post details
     document.getElementById('back-btn').addEventListener('click', () => {
-        showView('posts');
+        goBack('/posts');
     });
 });
 
+// ==================== Router ====================
+
+// Hash routes, e.g. #/posts/12 -> viewPostDetail(12)
+const routes = [
+    { pattern: /^\/(home)?$/, render: () => showView('home') },
+    { pattern: /^\/posts$/, render: (params, query) => {
+        applyFeedOptions(query);
+        showView('posts');
+        applySearchQuery(query.get('q') || '');
+    } },
+    { pattern: /^\/tags$/, render: () => viewTagCloud() },
+    { pattern: /^\/tags\/([^/]+)$/, render: ([tag]) => viewTagFeed(decodeURIComponent(tag)) },
+    { pattern: /^\/posts\/new$/, render: () => openComposer() },
+    { pattern: /^\/posts\/(\d+)\/edit$/, render: ([postId]) => openComposer(Number(postId)) },
+    { pattern: /^\/posts\/(\d+)$/, render: ([postId]) => viewPostDetail(Number(postId)) },
+    { pattern: /^\/saved$/, render: (params, query) => viewSavedPosts(query) },
+    { pattern: /^\/users$/, render: (params, query) => viewUserDirectory(query) },
+    { pattern: /^\/users\/(\d+)$/, render: ([userId], query) => viewUserProfile(Number(userId), { section: query.get('section') }) },
+    { pattern: /^\/contact$/, render: () => showView('contact') }
+];
+
+// Last hash we rendered, so popstate + hashchange for one change only render once
+let currentRouteHash = null;
+
+/**
+ * Splits a location hash into a normalized path and its query parameters.
+ * Legacy hashes without a leading slash (#posts) are treated as #/posts.
+ */
+function parseHash(hash) {
+    let route = hash.replace(/^#/, '');
+    if (!route.startsWith('/')) route = `/${route}`;
+
+    const [path, queryString = ''] = route.split('?');
+    return {
+        path: path.length > 1 ? path.replace(/\/+$/, '') : path,
+        query: new URLSearchParams(queryString)
+    };
+}
+
+// Listen for history changes and render the route we were loaded with
+function setupRouter() {
+    // We restore the feed's scroll position ourselves (see showView)
+    history.scrollRestoration = 'manual';
+
+    window.addEventListener('popstate', () => handleRoute());
+    window.addEventListener('hashchange', () => handleRoute());
+
+    // In-app links (href="#/...") go through navigate() so history depth is tracked
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href^="#/"]');
+        if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        navigate(link.getAttribute('href').slice(1));
+    });
+
+    // Rewrite legacy hashes (#posts) to their canonical form without adding history
+    const { path, query } = parseHash(window.location.hash);
+    const queryString = query.toString();
+    const canonicalHash = `#${path}${queryString ? `?${queryString}` : ''}`;
+    writeHash(canonicalHash, { depth: history.state?.depth ?? 0 }, true);
+
+    handleRoute();
+}
+
+// Render whatever view the current hash points to
+function handleRoute(force = false) {
+    const hash = window.location.hash || '#/';
+    if (!force && hash === currentRouteHash) return;
+    currentRouteHash = hash;
+
+    const { path, query } = parseHash(hash);
+
+    for (const route of routes) {
+        const match = path.match(route.pattern);
+        if (match) {
+            route.render(match.slice(1), query);
+            return;
+        }
+    }
+
+    // Unknown route - fall back to home
+    showView('home');
+}
+
+/**
+ * Navigates to a route path (e.g. '/posts/12'), adding a history entry
+ * unless replace is set.
+ */
+function navigate(path, { replace = false } = {}) {
+    const depth = history.state?.depth ?? 0;
+    writeHash(`#${path}`, { depth: replace ? depth : depth + 1 }, replace);
+    handleRoute(true);
+}
+
+// Write a hash to the address bar, keeping our history state where the browser allows it
+function writeHash(hash, state, replace) {
+    try {
+        if (replace) {
+            history.replaceState(state, '', hash);
+        } else {
+            history.pushState(state, '', hash);
+        }
+    } catch (error) {
+        // Pages opened from file:// may refuse pushState - fall back to plain hash navigation
+        if (replace) {
+            window.location.replace(hash);
+        } else {
+            window.location.hash = hash;
+        }
+    }
+}
+
+// Go back in history if we navigated here within the app, otherwise open the fallback route
+function goBack(fallbackPath) {
+    if ((history.state?.depth ?? 0) > 0) {
+        history.back();
+    } else {
+        navigate(fallbackPath, { replace: true });
+    }
+}
+
 // Setup navigation links
 function setupNavigation() {
     const navLinks = document.querySelectorAll('.nav-link');
@@ -103,16 +498,21 @@ function setupNavigation() {
         link.addEventListener('click', (e) => {
             e.preventDefault();
             const viewName = link.getAttribute('data-view');
-            showView(viewName);
-            
-            // Update URL hash
-            window.location.hash = viewName;
+            navigate(`/${viewName}`);
         });
     });
 }
 
 // Switch between different views (Home, Post Detail, Profile)
 function showView(viewName) {
+    const previousView = appData.currentView;
+    appData.currentView = viewName;
+    
+    // Remember where we were in the feed before leaving it
+    if (previousView === 'posts' && viewName !== 'posts') {
+        appData.feedScrollY = window.scrollY;
+    }
+    
     // Hide all views
     document.querySelectorAll('.page').forEach(page => {
         page.classList.add('hidden');
@@ -128,9 +528,24 @@ function showView(viewName) {
     updateActiveNav(viewName);
     
     // Load posts if viewing posts page for the first time
-    if (viewName === 'posts' && appData.posts.length === 0 && !appData.isLoading) {
+    if (viewName === 'posts' && appData.currentSkip === 0 && !appData.isLoading) {
         loadPosts();
     }
+    
+    // Returning to the feed puts you back where you left off, other views start at the top
+    if (viewName !== previousView) {
+        window.scrollTo(0, viewName === 'posts' ? appData.feedScrollY : 0);
+    }
+    
+    // The feed list can't measure anything while hidden, so catch up now
+    if (viewName === 'posts') {
+        getFeedList().scheduleRender();
+    }
+    
+    // The sentinel may already be on screen when the feed becomes visible
+    if (viewName === 'posts') {
+        checkInfiniteScroll();
+    }
 }
 
 // Update active navigation link
@@ -147,15 +562,12 @@ async function fetchUser(userId) {
         return appData.users[userId]; // Return cached data
     }
     
-    // If not cached, fetch from API
+    // If not cached, fetch from the data source
     try {
-        const response = await fetch(`https://dummyjson.com/users/${userId}`);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch user: ${response.status}`);
-        }
-        
-        const user = await response.json();
+        const user = await api.getUser(userId, {
+            // A stale cached copy was refreshed - use the new one from now on
+            onUpdate: freshUser => { appData.users[userId] = freshUser; }
+        });
         
         // Cache the user for future use
         appData.users[userId] = user;
@@ -167,46 +579,99 @@ async function fetchUser(userId) {
     }
 }
 
+/**
+ * The author to show on a card: the full profile if we have it, else the batch-loaded name
+ */
+function getAuthor(userId) {
+    return appData.users[userId] || appData.authors[userId] || null;
+}
+
+// Look up every author we don't know yet in one request, then fill in the cards
+async function resolveAuthors(userIds) {
+    const missing = [...new Set(userIds)].filter(userId => !getAuthor(userId));
+    if (missing.length === 0) return;
+
+    try {
+        const authors = await api.getAuthors(missing);
+        authors.forEach(author => {
+            appData.authors[author.id] = author;
+        });
+    } catch (error) {
+        // The cards just keep showing "User N"
+        console.error('Error loading authors:', error);
+        return;
+    }
+
+    // Swap the placeholder names for the real ones, wherever the cards are
+    document.querySelectorAll('.author-pending').forEach(span => {
+        const author = getAuthor(Number(span.dataset.userId));
+        if (author) {
+            span.textContent = `👤 ${author.firstName} ${author.lastName}`;
+            span.classList.remove('author-pending');
+        }
+    });
+    updateAuthorFilterOptions();
+}
+
 // Async function to fetch posts (initial load)
 async function loadPosts() {
     // Prevent loading if already loading
     if (appData.isLoading) return;
     
-    const postsContainer = document.getElementById('posts-container');
+    const feedStatus = document.getElementById('feed-status');
+    
+    // Changing the sort order starts a new generation - results for an older one are dropped
+    const generation = appData.feedGeneration;
     
     try {
-        // Set loading state
+        // Set loading state - skeleton cards for the first page, the spinner after that
         appData.isLoading = true;
-        showSpinner();
-        
-        // Fetch batch of posts from DummyJSON API
-        const response = await fetch(`https://dummyjson.com/posts?limit=${appData.postsPerPage}&skip=${appData.currentSkip}`);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch posts: ${response.status}`);
+        appData.feedLoadFailed = false;
+        if (appData.posts.length === 0) {
+            showLoadingState(feedStatus, 'post', { count: 3, label: t('feed.loading') });
+        } else {
+            showSpinner();
         }
         
-        const data = await response.json();
+        // Fetch batch of posts from the data source, sorted server-side if a sort is active
+        const data = await api.getPosts({
+            limit: appData.postsPerPage,
+            skip: appData.currentSkip,
+            ...getServerSortParams(),
+            onUpdate: freshData => refreshFeedPosts(freshData.posts, generation)
+        });
+        if (generation !== appData.feedGeneration) return;
         
         // Store total number of posts available
         appData.totalPosts = data.total;
         
         // Check if no posts were returned
         if (data.posts.length === 0 && appData.posts.length === 0) {
-            const emptyState = createDiv('empty-state', 'No posts available at the moment.');
-            postsContainer.appendChild(emptyState);
+            showEmptyState(feedStatus, t('feed.empty'));
             hideSpinner();
             return;
         }
         
-        // Add new posts to our state
-        appData.posts.push(...data.posts);
+        // Skip posts we already have, so a shifting page can't produce duplicate cards
+        const newPosts = data.posts
+            .filter(post => !appData.posts.some(existing => existing.id === post.id))
+            .map(withLocalChanges)
+            .filter(Boolean);
         
         // Update skip counter
         appData.currentSkip += data.posts.length;
         
-        // Display each post with usernames concurrently!
-        await Promise.all(data.posts.map(post => displayPost(post)));
+        // Add new posts to our state
+        appData.posts.push(...newPosts);
+        
+        // Place every card according to the active sort and filters. Cards are
+        // built synchronously from appData.posts, so their order always follows
+        // the API (or the chosen sort) and never depends on when authors load
+        renderFeed();
+        
+        // Cards show "User N" until the authors arrive in one batch, then the
+        // names are filled in where the cards already are
+        resolveAuthors(newPosts.map(post => post.userId));
         
         // Hide spinner
         hideSpinner();
@@ -215,93 +680,45 @@ async function loadPosts() {
         updateLoadMoreButton();
         
     } catch (error) {
+        if (generation !== appData.feedGeneration) return;
         console.error('Error loading posts:', error);
+        appData.feedLoadFailed = true;
         hideSpinner();
-        const errorState = createDiv('error-state', 'Failed to load posts. Please check your internet connection and try again.');
-        postsContainer.appendChild(errorState);
+        clearContainer(feedStatus);
+        if (isNetworkError(error) && appData.posts.length === 0) {
+            feedStatus.appendChild(createOfflineState());
+            return;
+        }
+        feedStatus.appendChild(createErrorState(t('feed.error'), retryFeedPage));
     } finally {
-        // Always reset loading state
-        appData.isLoading = false;
+        // Always reset loading state (a newer generation manages its own)
+        if (generation === appData.feedGeneration) {
+            appData.isLoading = false;
+        }
     }
 }
 
-// Function to display a single post
-async function displayPost(post) {
-    // STEP 1: Get the container where we'll put this post
-    const postsContainer = document.getElementById('posts-container');
-    
-    // STEP 1.5: Fetch the user data for this post
-    try {
-        const user = await fetchUser(post.userId);
-        const authorName = user ? `${user.firstName} ${user.lastName}` : `User ${post.userId}`;
-        
-        // STEP 2: Create a new article element
-        const postElement = createArticle('post-card');
-        
-        // STEP 3: Create title
-        const title = createHeading(3, post.title, 'post-title');
-        title.dataset.postId = post.id;
-        title.style.cursor = 'pointer';
-        title.addEventListener('click', () => viewPostDetail(post.id));
-        
-        // STEP 4: Create post meta
-        const postMeta = createDiv('post-meta');
-        
-        // Author span
-        const author = createSpan('author', `👤 ${authorName}`);
-        author.dataset.userId = post.userId;
-        author.style.cursor = 'pointer';
-        author.addEventListener('click', () => openUserProfileModal(post.userId));
-        postMeta.appendChild(author);
-        
-        // Reactions span
-        const reactions = createSpan('reactions', `❤️ ${post.reactions.likes} likes`);
-        postMeta.appendChild(reactions);
-        
-        // Views span
-        const views = createSpan('views', `👁️ ${post.views} views`);
-        postMeta.appendChild(views);
-        
-        // STEP 5: Create body
-        const body = createParagraph(post.body);
-        body.className = 'post-body';
-        
-        // STEP 6: Create tags
-        const tagsContainer = createDiv('post-tags');
-        post.tags.forEach(tag => {
-            const tagSpan = createSpan('tag', tag);
-            tagsContainer.appendChild(tagSpan);
-        });
-        
-        // STEP 7: Append all to post element
-        postElement.appendChild(title);
-        postElement.appendChild(postMeta);
-        postElement.appendChild(body);
-        postElement.appendChild(tagsContainer);
-        
-        // STEP 8: Add the post to the page
-        postsContainer.appendChild(postElement);
-    } catch (error) {
-        console.error('Error displaying post:', error);
-        // Still show the post even if user fetch fails
-        const postElement = createArticle('post-card');
-        
-        const title = createHeading(3, post.title, 'post-title');
-        postElement.appendChild(title);
-        
-        const postMeta = createDiv('post-meta');
-        const author = createSpan('author', `👤 User ${post.userId}`);
-        const reactions = createSpan('reactions', `❤️ ${post.reactions?.likes ?? 'N/A'} likes`);
-        postMeta.appendChild(author);
-        postMeta.appendChild(reactions);
-        postElement.appendChild(postMeta);
-        
-        const body = createParagraph(post.body);
-        body.className = 'post-body';
-        postElement.appendChild(body);
-        
-        document.getElementById('posts-container').appendChild(postElement);
-    }
+// A cached page was refreshed in the background - swap in the updated posts
+function refreshFeedPosts(freshPosts, generation) {
+    if (generation !== appData.feedGeneration) return;
+
+    const changedIds = [];
+    freshPosts.forEach(freshPost => {
+        const index = appData.posts.findIndex(post => post.id === freshPost.id);
+        const post = withLocalChanges(freshPost);
+        if (index !== -1 && post) {
+            appData.posts[index] = post;
+            changedIds.push(post.id);
+        }
+    });
+
+    renderFeed();
+    changedIds.forEach(postId => getFeedList().refreshItem(postId));
+}
+
+// Build (or rebuild a recycled) feed card for a post, using the cached author
+function renderFeedCard(post, element) {
+    return createPostCard(post, getAuthor(post.userId), { element });
 }
 
 // Load more posts when button is clicked
@@ -310,234 +727,2904 @@ async function loadMorePosts() {
     
     // Disable button while loading
     loadMoreBtn.disabled = true;
-    loadMoreBtn.textContent = 'Loading...';
+    loadMoreBtn.textContent = t('common.loading');
     
     await loadPosts();
     
     // Re-enable button
     loadMoreBtn.disabled = false;
-    loadMoreBtn.textContent = 'Load More Posts';
+    loadMoreBtn.textContent = t('common.loadMorePosts');
 }
 
-// Setup the "Load More" button
-function setupLoadMoreButton() {
-    const loadMoreBtn = document.getElementById('load-more-btn');
-    if (loadMoreBtn) {
-        loadMoreBtn.addEventListener('click', loadMorePosts);
+// ==================== Post Card ====================
+// Every post on the page - feed, search, tags, saved, profile and the open
+// post - is built by createPostCard(), so a change here shows up everywhere.
+
+/**
+ * Builds the card for a post. `user` is the author when we know it; without
+ * it the card says "User N" until resolveAuthors() fills in the name.
+ * Variants:
+ *   - 'feed': title link, author, reactions, Save, counts, body, tags and edit/delete
+ *   - 'compact': like 'feed' without edit/delete and with a shortened body
+ *   - 'snapshot': like 'feed' without edit/delete - a saved copy of a post
+ *     that may no longer exist
+ *   - 'detail': the open post, with a focusable heading and the full body
+ *   - 'fallback': title, author and body only - used automatically when a
+ *     post is missing fields the other variants need (an open post keeps
+ *     its detail heading)
+ * Options: highlight (search terms to mark), element (a recycled card to rebuild).
+ */
+function createPostCard(post, user = null, { variant = 'feed', highlight = [], element = null } = {}) {
+    let card;
+    try {
+        card = buildPostCard(post, user, { variant, highlight, element });
+    } catch (error) {
+        if (variant === 'fallback') throw error;
+        console.error('Error displaying post:', error);
+        // Still show the post even if it's missing some fields
+        card = buildPostCard(post, user, { variant: 'fallback', isDetail: variant === 'detail', highlight, element });
     }
+    renderedCards.set(card, { post, variant, highlight });
+    return card;
 }
 
-// Show/hide Load More button based on available posts
-function updateLoadMoreButton() {
-    const loadMoreBtn = document.getElementById('load-more-btn');
+// What each card on the page was built from, so refreshPostViews() can rebuild it in place
+const renderedCards = new WeakMap(); // card element -> { post, variant, highlight }
+
+function buildPostCard(post, user, { variant, highlight, element, isDetail = variant === 'detail' }) {
+    const authorName = user ? `${user.firstName} ${user.lastName}` : t('common.unknownUser', { id: String(post.userId) });
     
-    if (appData.currentSkip >= appData.totalPosts) {
-        // No more posts to load
-        loadMoreBtn.classList.add('hidden');
+    // Create a new article element (or empty the recycled one)
+    const card = element || createArticle();
+    clearContainer(card);
+    card.className = isDetail ? 'post-detail-card' : 'post-card';
+    card.dataset.postId = post.id;
+    if (variant === 'compact') card.classList.add('post-card-compact');
+    // Recycled and re-rendered cards keep the j/k selection
+    if (!isDetail) card.classList.toggle('post-card-selected', post.id === appData.selectedPostId);
+    
+    // Title - the open post's heading is focused when it opens, so keyboard and screen reader users start there
+    if (isDetail) {
+        const title = createHeading(2, String(post.title ?? ''));
+        title.id = 'post-detail-title';
+        title.tabIndex = -1;
+        card.appendChild(title);
     } else {
-        // More posts available
-        loadMoreBtn.classList.remove('hidden');
+        card.appendChild(createPostTitle({ ...post, title: String(post.title ?? '') }, highlight));
     }
-}
-
-// Show loading spinner
-function showSpinner() {
-    const spinner = document.getElementById('loading-spinner');
-    if (spinner) {
-        spinner.classList.remove('hidden');
+    
+    // Author link (a placeholder name until resolveAuthors() fills it in)
+    const postMeta = createDiv('post-meta');
+    const author = createAuthorLink(post.userId, authorName);
+    if (!user) author.classList.add('author-pending');
+    postMeta.appendChild(author);
+    card.appendChild(postMeta);
+    
+    if (variant === 'fallback') {
+        const likes = post.reactions?.likes;
+        postMeta.appendChild(createSpan('reactions', Number.isFinite(likes) ? t('post.likes', { count: likes }) : t('post.likesUnknown')));
+        const body = createParagraph(post.body);
+        body.className = 'post-body';
+        card.appendChild(body);
+        return card;
     }
-}
-
-// Hide loading spinner
-function hideSpinner() {
-    const spinner = document.getElementById('loading-spinner');
-    if (spinner) {
-        spinner.classList.add('hidden');
+    
+    // Like/dislike buttons
+    postMeta.appendChild(createReactionBar('posts', post.id, post.reactions));
+    
+    // Posts that only exist locally can't be saved - there's nothing to come back to
+    if (typeof post.id === 'number') {
+        postMeta.appendChild(createBookmarkButton(post));
+    }
+    
+    // Views span
+    postMeta.appendChild(createSpan('views', t('post.views', { count: post.views, views: formatNumber(post.views, { compact: true }) })));
+    
+    // Comment count, once we've seen the post's comments (the open post lists them below instead)
+    const commentCount = appData.commentCounts[post.id];
+    if (!isDetail && commentCount !== undefined) {
+        postMeta.appendChild(createSpan('comment-count', t('post.comments', { count: commentCount })));
+    }
+    
+    // Tags
+    const tagsContainer = createDiv('post-tags');
+    post.tags.forEach(tag => {
+        tagsContainer.appendChild(createTagLink(tag));
+    });
+    
+    // Body - the open post shows its tags first, cards after the body
+    const body = createParagraph();
+    body.appendChild(createHighlightedText(post.body, highlight));
+    body.className = isDetail ? 'post-full-body' : 'post-body';
+    if (isDetail) {
+        card.appendChild(tagsContainer);
+        card.appendChild(body);
+    } else {
+        card.appendChild(body);
+        card.appendChild(tagsContainer);
+    }
+    
+    // Edit/delete actions - a post that's still being saved can't be changed yet
+    if (variant === 'compact' || variant === 'snapshot') return card;
+    if (appData.pendingPosts.has(post.id)) {
+        card.classList.add('post-card-pending');
+        card.appendChild(createSpan('pending-label', t('post.saving')));
+    } else {
+        card.appendChild(createPostActions(post));
     }
+    
+    return card;
 }
 
-// View post detail with comments
-async function viewPostDetail(postId) {
-    showView('post-detail')
+// ==================== Virtual List ====================
 
-    const postContent = document.getElementById('post-content');
-    const commentsContainer = document.getElementById('comments-container');
+/**
+ * Renders a long list inside `container`, keeping only the items near the
+ * viewport (plus `overscan` px either side) in the DOM. Items can have any
+ * height: each one is measured once mounted, and unmeasured ones use
+ * `estimatedHeight`. Elements scrolled out of range go to a pool and are
+ * handed back to renderItem(item, recycledElement) for the next item.
+ * The item holding keyboard focus is never unmounted.
+ */
+function createVirtualList(container, { getKey, renderItem, estimatedHeight = 250, overscan = 800 }) {
+    const topSpacer = createDiv('virtual-spacer');
+    const bottomSpacer = createDiv('virtual-spacer');
+    topSpacer.setAttribute('aria-hidden', 'true');
+    bottomSpacer.setAttribute('aria-hidden', 'true');
+    container.appendChild(topSpacer);
+    container.appendChild(bottomSpacer);
 
-    // Clear containers
-    clearContainer(postContent);
-    clearContainer(commentsContainer);
-    
-    // Show loading state
-    postContent.appendChild(createParagraph('Loading post...'));
+    let items = [];
+    const heights = new Map(); // key -> measured height including the gap below
+    const mounted = new Map(); // key -> element currently in the DOM
+    const pool = []; // unmounted elements waiting to be reused
+    let frameRequested = false;
 
-    try{
-        const postResponse = await fetch(`https://dummyjson.com/posts/${postId}`);
+    const heightOf = (item) => heights.get(getKey(item)) ?? estimatedHeight;
 
-        if (!postResponse.ok){
-            throw new Error(`Failed to fetch post: ${postResponse.status}`);
+    // Key of the mounted item that contains the focused element, if any
+    const getFocusedKey = () => {
+        for (const [key, element] of mounted) {
+            if (element.contains(document.activeElement)) return key;
         }
+        return null;
+    };
 
-        const post = await postResponse.json();
+    function render() {
+        frameRequested = false;
 
-        // Store the current post
-        appData.currentPost = post;
+        // Nothing can be measured while the list (or its view) is hidden
+        if (container.closest('.hidden')) return;
 
-        // Fetch the author
-        const user = await fetchUser(post.userId);
-        const authorName = user ? `${user.firstName} ${user.lastName}` : `User ${post.userId}`;
+        const listTop = container.getBoundingClientRect().top + window.scrollY;
+        const rangeStart = window.scrollY - listTop - overscan;
+        const rangeEnd = window.scrollY + window.innerHeight - listTop + overscan;
 
-        // Clear loading state
-        clearContainer(postContent);
+        // Work out each item's offset and which ones overlap the range
+        const offsets = [];
+        let totalHeight = 0;
+        let first = items.length;
+        let last = -1;
+        items.forEach((item, index) => {
+            offsets.push(totalHeight);
+            const height = heightOf(item);
+            if (totalHeight + height > rangeStart && totalHeight < rangeEnd) {
+                first = Math.min(first, index);
+                last = index;
+            }
+            totalHeight += height;
+        });
 
-        // Create article element
-        const article = createArticle('post-detail-card');
+        // Stretch the range so a focused item stays mounted
+        const focusedKey = getFocusedKey();
+        const focusedIndex = focusedKey === null ? -1 : items.findIndex(item => getKey(item) === focusedKey);
+        if (focusedIndex !== -1) {
+            first = Math.min(first, focusedIndex);
+            last = Math.max(last, focusedIndex);
+        }
 
-        // Add title
-        const title = createHeading(2, post.title);
-        article.appendChild(title);
+        const visibleItems = first <= last ? items.slice(first, last + 1) : [];
+        const visibleKeys = new Set(visibleItems.map(getKey));
 
-        // Create post meta
-        const postMeta = createDiv('post-meta');
-        
-        const author = createSpan('author', `👤 ${authorName}`);
-        author.dataset.userId = post.userId;
-        author.addEventListener('click', () => openUserProfileModal(post.userId));
-        postMeta.appendChild(author);
-        
-        const reactions = createSpan('reactions', `❤️ ${post.reactions.likes} likes | 👎 ${post.reactions.dislikes} dislikes`);
-        postMeta.appendChild(reactions);
-        
-        const views = createSpan('views', `👁️ ${post.views} views`);
-        postMeta.appendChild(views);
-        
-        article.appendChild(postMeta);
+        // Unmount everything that left the range
+        for (const [key, element] of mounted) {
+            if (!visibleKeys.has(key)) {
+                element.remove();
+                mounted.delete(key);
+                pool.push(element);
+            }
+        }
 
-        // Add tags
-        const tagsContainer = createDiv('post-tags');
-        post.tags.forEach(tag => {
-            const tagSpan = createSpan('tag', tag);
-            tagsContainer.appendChild(tagSpan);
+        // Mount (or move) the items in range, in order, between the spacers
+        let previous = topSpacer;
+        visibleItems.forEach(item => {
+            const key = getKey(item);
+            let element = mounted.get(key);
+            if (!element) {
+                element = renderItem(item, pool.pop() || null);
+                mounted.set(key, element);
+            }
+            if (previous.nextSibling !== element) {
+                container.insertBefore(element, previous.nextSibling);
+            }
+            previous = element;
         });
-        article.appendChild(tagsContainer);
 
-        // Add body
-        const body = createParagraph(post.body);
-        body.className = 'post-full-body';
-        article.appendChild(body);
+        // Spacers stand in for the unmounted items so the scrollbar stays honest
+        const mountedStart = visibleItems.length ? offsets[first] : totalHeight;
+        const mountedEnd = visibleItems.length ? offsets[last] + heightOf(items[last]) : totalHeight;
+        topSpacer.style.height = `${mountedStart}px`;
+        bottomSpacer.style.height = `${totalHeight - mountedEnd}px`;
 
-        postContent.appendChild(article);
+        // Measure what we mounted - if any estimate was off, lay out again
+        let heightsChanged = false;
+        for (const [key, element] of mounted) {
+            const gap = parseFloat(getComputedStyle(element).marginBottom) || 0;
+            const height = element.offsetHeight + gap;
+            if (element.offsetHeight > 0 && heights.get(key) !== height) {
+                heights.set(key, height);
+                heightsChanged = true;
+            }
+        }
+        if (heightsChanged) scheduleRender();
+    }
 
-        // Load comments
-        await loadComments(postId);
+    function scheduleRender() {
+        if (frameRequested) return;
+        frameRequested = true;
+        requestAnimationFrame(render);
+    }
+
+    window.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', scheduleRender);
+    // Moving focus (e.g. tabbing) can change which item must stay mounted
+    container.addEventListener('focusout', scheduleRender);
+
+    return {
+        // Replace the list's items (order matters) and render right away
+        setItems(newItems) {
+            items = newItems;
+            render();
+        },
+
+        // Rebuild a mounted item in place, e.g. after its data changed
+        refreshItem(key) {
+            const element = mounted.get(key);
+            const item = items.find(entry => getKey(entry) === key);
+            if (element && item) {
+                renderItem(item, element);
+                scheduleRender();
+            }
+        },
+
+        // Rebuild every item, e.g. after the language changed. Pooled
+        // elements are rebuilt anyway when they're reused.
+        refreshAll() {
+            for (const [key, element] of mounted) {
+                const item = items.find(entry => getKey(entry) === key);
+                if (item) renderItem(item, element);
+            }
+            scheduleRender();
+        },
+
+        // The mounted element for a key, or null if it's scrolled out of range
+        getElement(key) {
+            return mounted.get(key) || null;
+        },
+
+        scheduleRender
+    };
+}
+
+let feedList = null;
+
+// The virtualized list behind #posts-container, created on first use
+function getFeedList() {
+    if (!feedList) {
+        feedList = createVirtualList(document.getElementById('posts-container'), {
+            getKey: post => post.id,
+            renderItem: (post, element) => renderFeedCard(post, element)
+        });
+    }
+    return feedList;
+}
+
+// ==================== Infinite Scroll ====================
+
+let infiniteScrollObserver = null;
+
+// Watch the sentinel below the feed and wire up the mode toggle
+function setupInfiniteScroll() {
+    const toggle = document.getElementById('infinite-scroll-toggle');
+    const sentinel = document.getElementById('feed-sentinel');
+
+    // Older browsers just keep the Load More button
+    if (!('IntersectionObserver' in window)) {
+        toggle.closest('.feed-control').classList.add('hidden');
+        appData.feedMode = 'button';
+        return;
+    }
+
+    // Start loading a little before the sentinel actually scrolls into view
+    infiniteScrollObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadNextPageOnScroll();
+        }
+    }, { rootMargin: '0px 0px 400px 0px' });
+    infiniteScrollObserver.observe(sentinel);
+
+    toggle.checked = appData.feedMode === 'infinite';
+    toggle.addEventListener('change', () => setFeedMode(toggle.checked ? 'infinite' : 'button'));
+}
+
+// Switch between infinite scroll and the Load More button, remembering the choice
+function setFeedMode(mode) {
+    appData.feedMode = mode;
+    localStorage.setItem('posthub:feedMode', mode);
+
+    if (appData.totalPosts > 0) {
+        updateLoadMoreButton();
+    }
+    checkInfiniteScroll();
+}
+
+// Load the next page if infinite scroll is on and there's something left to load.
+// After a failed page it stops until the user presses Retry.
+async function loadNextPageOnScroll() {
+    const feedVisible = appData.currentView === 'posts' && !appData.search.query;
+    const hasMore = appData.currentSkip < appData.totalPosts;
+
+    if (appData.feedMode !== 'infinite' || !feedVisible || !hasMore || appData.isLoading || appData.feedLoadFailed) return;
+
+    await loadPosts();
+    if (!appData.feedLoadFailed) checkInfiniteScroll();
+}
+
+// The feed error's Retry button - reloads the page and lets infinite scroll carry on
+async function retryFeedPage() {
+    await loadPosts();
+    if (!appData.feedLoadFailed) checkInfiniteScroll();
+}
+
+// Re-observing makes the observer report the sentinel's current state,
+// so a page that didn't fill the screen keeps loading
+function checkInfiniteScroll() {
+    if (!infiniteScrollObserver) return;
+
+    const sentinel = document.getElementById('feed-sentinel');
+    infiniteScrollObserver.unobserve(sentinel);
+    infiniteScrollObserver.observe(sentinel);
+}
+
+// Setup the "Load More" button
+function setupLoadMoreButton() {
+    const loadMoreBtn = document.getElementById('load-more-btn');
+    if (loadMoreBtn) {
+        loadMoreBtn.addEventListener('click', loadMorePosts);
+    }
+}
+
+// Show/hide Load More button based on available posts
+function updateLoadMoreButton() {
+    const loadMoreBtn = document.getElementById('load-more-btn');
+    
+    if (appData.currentSkip >= appData.totalPosts || appData.feedMode === 'infinite') {
+        // No more posts to load
+        loadMoreBtn.classList.add('hidden');
+    } else {
+        // More posts available
+        loadMoreBtn.classList.remove('hidden');
+    }
+}
+
+// Show loading spinner
+function showSpinner(spinnerId = 'loading-spinner') {
+    const spinner = document.getElementById(spinnerId);
+    if (spinner) {
+        spinner.classList.remove('hidden');
+    }
+}
+
+// Hide loading spinner
+function hideSpinner(spinnerId = 'loading-spinner') {
+    const spinner = document.getElementById(spinnerId);
+    if (spinner) {
+        spinner.classList.add('hidden');
+    }
+}
+
+// ==================== Sorting & Filtering ====================
+
+// Sortable fields: the key the data source sorts by, and how to read it client-side
+const feedSortFields = {
+    likes: { serverKey: 'reactions.likes', value: post => post.reactions.likes },
+    dislikes: { serverKey: 'reactions.dislikes', value: post => post.reactions.dislikes },
+    views: { serverKey: 'views', value: post => post.views },
+    title: { serverKey: 'title', value: post => post.title.toLowerCase() }
+};
+
+// Wire up the sort/filter controls - changes go to the URL, and the route applies them
+function setupFeedControls() {
+    const controls = document.getElementById('feed-controls');
+
+    const updateOptions = () => {
+        const minReactions = parseInt(document.getElementById('min-reactions').value, 10);
+        const options = {
+            sort: document.getElementById('sort-by').value,
+            order: document.getElementById('sort-order').value,
+            minReactions: minReactions > 0 ? minReactions : 0,
+            author: document.getElementById('author-filter').value
+        };
+        navigate(buildPostsPath({ options }), { replace: true });
+    };
+
+    controls.addEventListener('change', (e) => {
+        // The infinite scroll toggle lives here too, but it isn't a feed option
+        if (e.target.id !== 'infinite-scroll-toggle') updateOptions();
+    });
+    document.getElementById('min-reactions').addEventListener('input', debounce(updateOptions, 300));
+}
+
+// Build the #/posts path for a search query and feed options (defaults to the current ones)
+function buildPostsPath({ query = appData.search.query, options = appData.feedOptions } = {}) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    if (options.sort) {
+        params.set('sort', options.sort);
+        params.set('order', options.order);
+    }
+    if (options.minReactions > 0) params.set('min', options.minReactions);
+    if (options.author) params.set('author', options.author);
+
+    const queryString = params.toString();
+    return queryString ? `/posts?${queryString}` : '/posts';
+}
+
+// Read sort/filter options from the URL query and update the feed to match
+function applyFeedOptions(query) {
+    const sort = feedSortFields[query.get('sort')] ? query.get('sort') : '';
+    const options = {
+        sort,
+        order: query.get('order') === 'asc' ? 'asc' : 'desc',
+        minReactions: Math.max(0, parseInt(query.get('min'), 10) || 0),
+        author: /^\d+$/.test(query.get('author') || '') ? query.get('author') : ''
+    };
+
+    const current = appData.feedOptions;
+    const sortChanged = options.sort !== current.sort || (options.sort && options.order !== current.order);
+    const filtersChanged = options.minReactions !== current.minReactions || options.author !== current.author;
+    appData.feedOptions = options;
+
+    // Keep the controls in sync with the URL
+    document.getElementById('sort-by').value = options.sort;
+    document.getElementById('sort-order').value = options.order;
+    document.getElementById('sort-order').disabled = !options.sort;
+    const minInput = document.getElementById('min-reactions');
+    if ((parseInt(minInput.value, 10) || 0) !== options.minReactions) {
+        minInput.value = options.minReactions || '';
+    }
+    updateAuthorFilterOptions();
+
+    if (sortChanged) {
+        // A new server-side order means the pages we have no longer line up
+        resetFeed();
+    } else if (filtersChanged) {
+        renderFeed();
+    }
+}
+
+// Sort parameters for the data source, if a sort is active
+function getServerSortParams() {
+    const { sort, order } = appData.feedOptions;
+    return sort ? { sortBy: feedSortFields[sort].serverKey, order } : {};
+}
+
+// Apply the active filters and sort to the loaded posts
+function getVisibleFeedPosts() {
+    const { sort, order, minReactions, author } = appData.feedOptions;
+
+    const posts = appData.posts.filter(post => {
+        const totalReactions = post.reactions.likes + post.reactions.dislikes;
+        if (totalReactions < minReactions) return false;
+        if (author && post.userId !== Number(author)) return false;
+        return true;
+    });
+
+    if (!sort) return posts;
+
+    // Sort client-side too, so pages the server sorted separately still merge in order
+    const direction = order === 'asc' ? 1 : -1;
+    const getValue = feedSortFields[sort].value;
+    return posts.sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA < valueB) return -direction;
+        if (valueA > valueB) return direction;
+        return a.id - b.id;
+    });
+}
+
+// Show the posts that pass the filters, in order, through the virtualized feed list
+function renderFeed() {
+    const feedStatus = document.getElementById('feed-status');
+    const visiblePosts = getVisibleFeedPosts();
+
+    clearContainer(feedStatus);
+    getFeedList().setItems(visiblePosts);
+
+    if (visiblePosts.length === 0 && appData.posts.length > 0) {
+        feedStatus.appendChild(createEmptyState(t('feed.noMatches')));
+    }
+
+    updateAuthorFilterOptions();
+}
+
+// List the authors of loaded posts in the author filter
+function updateAuthorFilterOptions() {
+    const select = document.getElementById('author-filter');
+    const selected = appData.feedOptions.author;
+    const userIds = new Set(appData.posts.map(post => post.userId));
+    if (selected) userIds.add(Number(selected));
+
+    const options = [...userIds].map(userId => {
+        const user = getAuthor(userId);
+        return { value: String(userId), label: user ? `${user.firstName} ${user.lastName}` : t('common.unknownUser', { id: String(userId) }) };
+    }).sort((a, b) => compareText(a.label, b.label));
+
+    // Only rebuild when the list actually changed
+    const signature = options.map(option => `${option.value}:${option.label}`).join('|');
+    if (select.dataset.signature !== signature) {
+        select.dataset.signature = signature;
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        options.forEach(({ value, label }) => select.add(new Option(label, value)));
+    }
+
+    select.value = selected;
+}
+
+// Drop every loaded post and start the feed again from the first page
+function resetFeed() {
+    appData.feedGeneration++;
+    appData.isLoading = false;
+    appData.feedLoadFailed = false;
+    appData.posts = [];
+    appData.currentSkip = 0;
+    appData.totalPosts = 0;
+    appData.feedScrollY = 0;
+
+    getFeedList().setItems([]);
+    clearContainer(document.getElementById('feed-status'));
+    document.getElementById('load-more-btn').classList.add('hidden');
+
+    if (!document.getElementById('posts').classList.contains('hidden')) {
+        loadPosts();
+    }
+}
+
+// ==================== Search ====================
+
+// Wire up the search box - typing updates ?q= in the URL, and the route runs the search
+function setupSearch() {
+    const form = document.getElementById('search-form');
+    const input = document.getElementById('search-input');
+
+    const updateQuery = (value) => {
+        const query = value.trim();
+        if (query === appData.search.query) return;
+        // Replace instead of push so every keystroke doesn't become a history entry
+        navigate(buildPostsPath({ query }), { replace: true });
+    };
+    const debouncedUpdate = debounce(updateQuery, 300);
+
+    input.addEventListener('input', () => debouncedUpdate(input.value));
+
+    // Enter searches right away
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        updateQuery(input.value);
+    });
+}
+
+// Show search results for a query, or the normal feed when the query is empty
+function applySearchQuery(query) {
+    const input = document.getElementById('search-input');
+    if (input.value.trim() !== query) {
+        input.value = query;
+    }
+
+    if (query === appData.search.query) return;
+    appData.search.query = query;
+
+    const isSearching = query.length > 0;
+    document.getElementById('search-results').classList.toggle('hidden', !isSearching);
+    document.getElementById('search-status').classList.toggle('hidden', !isSearching);
+    document.getElementById('posts-container').classList.toggle('hidden', isSearching);
+    document.getElementById('feed-status').classList.toggle('hidden', isSearching);
+    document.getElementById('load-more-container').classList.toggle('hidden', isSearching);
+    document.getElementById('feed-controls').classList.toggle('hidden', isSearching);
+
+    if (isSearching) {
+        searchPosts(query);
+    } else {
+        // Cancel any search still in flight
+        appData.search.controller?.abort();
+        clearContainer(document.getElementById('search-results'));
+    }
+}
+
+// Fetch and render posts matching a query, cancelling any older search
+async function searchPosts(query) {
+    const resultsContainer = document.getElementById('search-results');
+    const status = document.getElementById('search-status');
+
+    appData.search.controller?.abort();
+    const controller = new AbortController();
+    appData.search.controller = controller;
+
+    showLoadingState(resultsContainer, 'post', { count: 2, label: t('search.searching') });
+    status.textContent = t('search.searching');
+
+    try {
+        const data = await api.searchPosts(query, { limit: 30, signal: controller.signal });
+
+        // A newer search started while we were waiting
+        if (controller.signal.aborted) return;
+
+        const posts = data.posts.map(withLocalChanges).filter(Boolean);
+        if (posts.length === 0) {
+            status.textContent = '';
+            showEmptyState(resultsContainer, t('search.noResults', { query }));
+            return;
+        }
+
+        status.textContent = data.total > posts.length
+            ? t('search.showing', { shown: posts.length, total: data.total, query })
+            : t('search.total', { count: data.total, query });
+
+        const terms = query.split(/\s+/);
+        clearContainer(resultsContainer);
+        posts.forEach(post => {
+            resultsContainer.appendChild(createPostCard(post, getAuthor(post.userId), { highlight: terms }));
+        });
+        resolveAuthors(posts.map(post => post.userId));
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        console.error('Error searching posts:', error);
+        status.textContent = '';
+        showErrorState(resultsContainer, t('search.error'), () => searchPosts(query));
+    } finally {
+        if (appData.search.controller === controller) {
+            appData.search.controller = null;
+        }
+    }
+}
+
+// ==================== Tags ====================
+
+// Setup the tag feed's own "Load More" button
+function setupTagFeed() {
+    const loadMoreBtn = document.getElementById('tag-load-more-btn');
+    loadMoreBtn.addEventListener('click', async () => {
+        loadMoreBtn.disabled = true;
+        loadMoreBtn.textContent = t('common.loading');
+
+        await loadTagPosts();
+
+        loadMoreBtn.disabled = false;
+        loadMoreBtn.textContent = t('common.loadMorePosts');
+    });
+}
+
+// Show the feed of posts with a given tag
+function viewTagFeed(tag) {
+    showView('tag-feed');
+    updateActiveNav('tags');
+
+    const feed = appData.tagFeed;
+
+    // Coming back to the same tag keeps the posts we already loaded
+    if (feed.tag === tag) return;
+
+    // A request for the previous tag may still be running - it's ignored from
+    // here on, so it mustn't stop this tag from loading
+    feed.generation++;
+    feed.isLoading = false;
+    feed.tag = tag;
+    feed.posts = [];
+    feed.currentSkip = 0;
+    feed.totalPosts = 0;
+
+    document.getElementById('tag-feed-title').textContent = t('tags.postsTagged', { tag });
+    clearContainer(document.getElementById('tag-posts-container'));
+    document.getElementById('tag-load-more-btn').classList.add('hidden');
+
+    loadTagPosts();
+}
+
+// Fetch the next page of posts for the current tag
+async function loadTagPosts() {
+    const feed = appData.tagFeed;
+    if (feed.isLoading) return;
+
+    const tag = feed.tag;
+    const generation = feed.generation;
+    const container = document.getElementById('tag-posts-container');
+    const loadMoreBtn = document.getElementById('tag-load-more-btn');
+
+    try {
+        feed.isLoading = true;
+        showSpinner('tag-loading-spinner');
+
+        const data = await api.getPostsByTag(tag, { limit: appData.postsPerPage, skip: feed.currentSkip });
+
+        // The user switched to another tag while we were loading
+        if (generation !== feed.generation) return;
+
+        feed.totalPosts = data.total;
+
+        if (data.posts.length === 0 && feed.posts.length === 0) {
+            container.appendChild(createEmptyState(t('tags.noPosts', { tag })));
+            return;
+        }
+
+        const posts = data.posts.map(withLocalChanges).filter(Boolean);
+        feed.posts.push(...posts);
+        feed.currentSkip += data.posts.length;
+
+        posts.forEach(post => {
+            container.appendChild(createPostCard(post, getAuthor(post.userId)));
+        });
+        resolveAuthors(posts.map(post => post.userId));
+
+        loadMoreBtn.classList.toggle('hidden', feed.currentSkip >= feed.totalPosts);
+    } catch (error) {
+        if (generation !== feed.generation) return;
+        console.error(`Error loading posts tagged ${tag}:`, error);
+        container.appendChild(createErrorState(t('tags.feedError'), loadTagPosts));
+    } finally {
+        // Only the current tag's request owns the loading state
+        if (generation === feed.generation) {
+            feed.isLoading = false;
+            hideSpinner('tag-loading-spinner');
+        }
+    }
+}
+
+// Count how often each tag appears across every post we have loaded so far
+function countLoadedTags() {
+    const counts = {};
+    const seenPostIds = new Set();
+
+    [...appData.posts, ...appData.tagFeed.posts].forEach(post => {
+        if (seenPostIds.has(post.id)) return;
+        seenPostIds.add(post.id);
+        post.tags.forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+
+    return { counts, postCount: seenPostIds.size };
+}
+
+// Show every tag, sized by how often it appears in the loaded posts
+async function viewTagCloud() {
+    showView('tags');
+
+    const cloud = document.getElementById('tag-cloud');
+    const summary = document.getElementById('tag-cloud-summary');
+    summary.textContent = '';
+
+    showLoadingState(cloud, 'tags', { label: t('tags.loading') });
+
+    try {
+        const tags = await api.getTagList();
+        const { counts, postCount } = countLoadedTags();
+        const maxCount = Math.max(1, ...Object.values(counts));
+
+        clearContainer(cloud);
+
+        if (tags.length === 0) {
+            cloud.appendChild(createEmptyState(t('tags.empty')));
+            return;
+        }
+
+        summary.textContent = postCount > 0
+            ? t('tags.summary', { count: postCount })
+            : t('tags.summaryEmpty');
+
+        tags.forEach(tag => {
+            const count = counts[tag] || 0;
+            const link = createTagLink(tag);
+            link.classList.add('tag-cloud-item');
+            // Scale between 0.9em and 1.8em relative to the most used tag
+            link.style.fontSize = `${0.9 + (count / maxCount) * 0.9}em`;
+            link.appendChild(createSpan('tag-count', formatNumber(count)));
+            link.setAttribute('aria-label', t('tags.countLabel', { tag, count }));
+            cloud.appendChild(link);
+        });
+    } catch (error) {
+        console.error('Error loading tags:', error);
+        showErrorState(cloud, t('tags.error'), viewTagCloud);
+    }
+}
+
+// ==================== User Directory ====================
+
+// How many users each page of the directory adds
+const directoryPageSize = 12;
+
+// Ways the directory can be sorted (the value is compared, ties go by name)
+const directorySortFields = {
+    name: user => `${user.firstName} ${user.lastName}`.toLowerCase(),
+    age: user => user.age
+};
+
+// Wire up the directory's search, controls and "Load More" button. Like the
+// feed, changes go to the URL and the route applies them
+function setupUserDirectory() {
+    const form = document.getElementById('user-search-form');
+    const input = document.getElementById('user-search-input');
+    const controls = document.getElementById('user-controls');
+
+    const updateOptions = (changes) => {
+        navigate(buildUsersPath({ ...appData.directory.options, ...changes }), { replace: true });
+    };
+    const debouncedSearch = debounce(query => updateOptions({ query }), 300);
+
+    input.addEventListener('input', () => debouncedSearch(input.value.trim()));
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        updateOptions({ query: input.value.trim() });
+    });
+
+    controls.addEventListener('change', (e) => {
+        const changes = {
+            sort: document.getElementById('user-sort-by').value,
+            order: document.getElementById('user-sort-order').value,
+            state: document.getElementById('user-state-filter').value,
+            city: document.getElementById('user-city-filter').value,
+            blood: document.getElementById('user-blood-filter').value
+        };
+        // Cities belong to a state, so picking another state starts the city over
+        if (e.target.id === 'user-state-filter') changes.city = '';
+        updateOptions(changes);
+    });
+
+    document.getElementById('user-directory-load-more-btn').addEventListener('click', () => {
+        renderUserDirectory({ append: true });
+    });
+}
+
+// Build the #/users path for a set of directory options
+function buildUsersPath(options = appData.directory.options) {
+    const params = new URLSearchParams();
+    if (options.query) params.set('q', options.query);
+    if (options.sort !== 'name' || options.order !== 'asc') {
+        params.set('sort', options.sort);
+        params.set('order', options.order);
+    }
+    if (options.state) params.set('state', options.state);
+    if (options.city) params.set('city', options.city);
+    if (options.blood) params.set('blood', options.blood);
+
+    const queryString = params.toString();
+    return queryString ? `/users?${queryString}` : '/users';
+}
+
+// Show the user directory with the search, sort and filters from the URL
+function viewUserDirectory(query) {
+    showView('users');
+
+    const directory = appData.directory;
+    const options = {
+        query: (query.get('q') || '').trim(),
+        sort: directorySortFields[query.get('sort')] ? query.get('sort') : 'name',
+        order: query.get('order') === 'desc' ? 'desc' : 'asc',
+        state: query.get('state') || '',
+        city: query.get('city') || '',
+        blood: query.get('blood') || ''
+    };
+    const changed = JSON.stringify(options) !== JSON.stringify(directory.options);
+    directory.options = options;
+
+    // Keep the controls in sync with the URL
+    const input = document.getElementById('user-search-input');
+    if (input.value.trim() !== options.query) input.value = options.query;
+    document.getElementById('user-sort-by').value = options.sort;
+    document.getElementById('user-sort-order').value = options.order;
+
+    if (!directory.users) {
+        loadUserDirectory();
+        return;
+    }
+
+    updateDirectoryFilterOptions();
+    // Coming back with the same options keeps the pages already shown
+    if (changed || directory.shown === 0) renderUserDirectory();
+}
+
+// Fetch every user's public fields for the directory
+async function loadUserDirectory() {
+    const directory = appData.directory;
+    if (directory.isLoading) return;
+
+    const list = document.getElementById('user-directory');
+    document.getElementById('user-directory-status').classList.add('hidden');
+    document.getElementById('user-directory-load-more-btn').classList.add('hidden');
+    showLoadingState(list, 'profile', { count: 4, label: t('users.loading') });
+
+    try {
+        directory.isLoading = true;
+
+        const data = await api.getUserDirectory({
+            // A background refresh re-renders the same number of users
+            onUpdate: freshData => {
+                directory.users = freshData.users;
+                updateDirectoryFilterOptions();
+                renderUserDirectory({ keepShown: true });
+            }
+        });
+
+        directory.users = data.users;
+        updateDirectoryFilterOptions();
+        renderUserDirectory();
+    } catch (error) {
+        console.error('Error loading users:', error);
+        showErrorState(list, t('users.error'), loadUserDirectory);
+    } finally {
+        directory.isLoading = false;
+    }
+}
+
+// Fill a filter <select> with the given values, keeping its first ("All ...") option
+function setFilterOptions(select, values, selected) {
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    });
+    // A value from the URL that no user has still shows as selected
+    if (selected && !values.includes(selected)) {
+        const option = document.createElement('option');
+        option.value = selected;
+        option.textContent = selected;
+        select.appendChild(option);
+    }
+    select.value = selected;
+}
+
+// List the states, cities and blood groups the loaded users actually have
+function updateDirectoryFilterOptions() {
+    const { users, options } = appData.directory;
+    const unique = values => [...new Set(values)].sort(compareText);
+
+    const inState = options.state ? users.filter(user => user.address.state === options.state) : users;
+
+    setFilterOptions(document.getElementById('user-state-filter'), unique(users.map(user => user.address.state)), options.state);
+    setFilterOptions(document.getElementById('user-city-filter'), unique(inState.map(user => user.address.city)), options.city);
+    setFilterOptions(document.getElementById('user-blood-filter'), unique(users.map(user => user.bloodGroup)), options.blood);
+}
+
+// The users matching the directory's search and filters, in the chosen order
+function getMatchingUsers() {
+    const { users, options } = appData.directory;
+    const terms = options.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const sortValue = directorySortFields[options.sort];
+    const direction = options.order === 'desc' ? -1 : 1;
+
+    return users
+        .filter(user => {
+            if (options.state && user.address.state !== options.state) return false;
+            if (options.city && user.address.city !== options.city) return false;
+            if (options.blood && user.bloodGroup !== options.blood) return false;
+            // Every word has to appear in the name or username
+            const name = `${user.firstName} ${user.lastName} ${user.username}`.toLowerCase();
+            return terms.every(term => name.includes(term));
+        })
+        .sort((a, b) => {
+            const valueA = sortValue(a);
+            const valueB = sortValue(b);
+            if (valueA < valueB) return -direction;
+            if (valueA > valueB) return direction;
+            return compareText(directorySortFields.name(a), directorySortFields.name(b)) || a.id - b.id;
+        });
+}
+
+/**
+ * Renders the first page of matching users, or with `append` the next page
+ * under the ones already shown. `keepShown` re-renders as many as before.
+ */
+function renderUserDirectory({ append = false, keepShown = false } = {}) {
+    const directory = appData.directory;
+    const list = document.getElementById('user-directory');
+    const status = document.getElementById('user-directory-status');
+    const loadMoreBtn = document.getElementById('user-directory-load-more-btn');
+
+    const matches = getMatchingUsers();
+    const terms = directory.options.query.split(/\s+/).filter(Boolean);
+    const start = append ? directory.shown : 0;
+    const end = keepShown ? Math.max(directory.shown, directoryPageSize) : start + directoryPageSize;
+
+    if (!append) clearContainer(list);
+
+    if (matches.length === 0) {
+        directory.shown = 0;
+        status.classList.add('hidden');
+        loadMoreBtn.classList.add('hidden');
+        showEmptyState(list, directory.users.length === 0
+            ? t('users.empty')
+            : t('users.noMatches'));
+        return;
+    }
+
+    matches.slice(start, end).forEach(user => {
+        list.appendChild(createUserCard(user, terms));
+    });
+    directory.shown = Math.min(end, matches.length);
+
+    status.textContent = t('users.showing', { shown: directory.shown, count: matches.length });
+    status.classList.remove('hidden');
+    loadMoreBtn.classList.toggle('hidden', directory.shown >= matches.length);
+}
+
+// One entry in the directory, linking to the user's profile and their posts
+function createUserCard(user, highlight = []) {
+    const card = createArticle('user-card');
+    const fullName = `${user.firstName} ${user.lastName}`;
+
+    card.appendChild(createImage(user.image, fullName, 'user-card-image'));
+
+    const nameLink = document.createElement('a');
+    nameLink.className = 'user-card-name';
+    nameLink.href = `#/users/${user.id}`;
+    nameLink.appendChild(createHighlightedText(fullName, highlight));
+    card.appendChild(nameLink);
+
+    const username = createSpan('user-card-username');
+    username.appendChild(createHighlightedText(`@${user.username}`, highlight));
+    card.appendChild(username);
+
+    const details = createParagraph();
+    details.className = 'user-card-details';
+    details.appendChild(createSpan('', `🎂 ${t('users.age', { count: user.age })}`));
+    details.appendChild(document.createElement('br'));
+    details.appendChild(createSpan('', `📍 ${user.address.city}, ${user.address.state}`));
+    details.appendChild(document.createElement('br'));
+    details.appendChild(createSpan('', `🩸 ${user.bloodGroup}`));
+    card.appendChild(details);
+
+    const postsLink = document.createElement('a');
+    postsLink.className = 'user-card-posts-link';
+    postsLink.href = `#/users/${user.id}?section=posts`;
+    postsLink.textContent = t('users.viewPosts');
+    postsLink.setAttribute('aria-label', t('users.viewPostsLabel', { name: fullName }));
+    card.appendChild(postsLink);
+
+    return card;
+}
+
+// ==================== Keyboard Shortcuts ====================
+// Single keys work anywhere except while typing in a field or with a dialog
+// open. The full list is in the "?" overlay (#shortcuts-help in index.html).
+
+// Views that show a list of post cards j/k can move through
+const cardListViews = ['posts', 'tag-feed', 'profile'];
+
+// Where "g" followed by a key takes you
+const goToShortcuts = { h: '/home', p: '/posts', t: '/tags', u: '/users' };
+
+// The help overlay
+let shortcutsDialog = null;
+
+function setupKeyboardShortcuts() {
+    shortcutsDialog = createDialog(document.getElementById('shortcuts-help'));
+
+    // Set after "g", waiting for the second key of a go-to shortcut
+    let goPending = false;
+    let goTimeoutId = null;
+
+    document.addEventListener('keydown', (e) => {
+        // Ctrl+K / Cmd+K works everywhere, even in a text field
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            toggleCommandPalette();
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+        if (openDialogs.length > 0 || isTypingTarget(e.target)) return;
+
+        if (goPending) {
+            goPending = false;
+            clearTimeout(goTimeoutId);
+            if (goToShortcuts[e.key]) {
+                e.preventDefault();
+                navigate(goToShortcuts[e.key]);
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'j':
+                e.preventDefault();
+                moveCardSelection(1);
+                break;
+            case 'k':
+                e.preventDefault();
+                moveCardSelection(-1);
+                break;
+            case 'Enter':
+                // Only when the card itself has focus - Enter on a link or button keeps its usual meaning
+                if (e.target.classList.contains('post-card')) {
+                    e.preventDefault();
+                    openSelectedPost();
+                }
+                break;
+            case 'u':
+                e.preventDefault();
+                openSelectedAuthor();
+                break;
+            case '/':
+                e.preventDefault();
+                focusSearch();
+                break;
+            case '?':
+                e.preventDefault();
+                shortcutsDialog.open();
+                break;
+            case 'g':
+                // Give up on the second key after a second
+                goPending = true;
+                goTimeoutId = setTimeout(() => { goPending = false; }, 1000);
+                break;
+        }
+    });
+}
+
+/**
+ * True for elements that take typed text, where single-key shortcuts must not fire
+ */
+function isTypingTarget(element) {
+    return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
+
+// The post cards of the current view, in page order (hidden lists, e.g. the feed during a search, are skipped)
+function getVisibleCards() {
+    if (!cardListViews.includes(appData.currentView)) return [];
+    return [...document.querySelectorAll(`#${appData.currentView} .post-card`)]
+        .filter(card => !card.closest('.hidden'));
+}
+
+// Select the next (1) or previous (-1) post card and move focus to it
+function moveCardSelection(step) {
+    const cards = getVisibleCards();
+    if (cards.length === 0) return;
+
+    const currentIndex = cards.findIndex(card => card.dataset.postId === String(appData.selectedPostId));
+    let nextIndex;
+    if (currentIndex === -1) {
+        // Start from the first card that's (at least partly) on screen
+        nextIndex = Math.max(0, cards.findIndex(card => card.getBoundingClientRect().bottom > 0));
+    } else {
+        nextIndex = Math.min(cards.length - 1, Math.max(0, currentIndex + step));
+    }
+
+    selectCard(cards[nextIndex]);
+}
+
+function selectCard(card) {
+    document.querySelectorAll('.post-card-selected').forEach(selected => {
+        selected.classList.remove('post-card-selected');
+    });
+
+    const postId = card.dataset.postId;
+    appData.selectedPostId = /^\d+$/.test(postId) ? Number(postId) : postId;
+    card.classList.add('post-card-selected');
+    card.tabIndex = -1;
+    card.focus({ preventScroll: true });
+    card.scrollIntoView({ block: 'nearest' });
+}
+
+function openSelectedPost() {
+    if (typeof appData.selectedPostId === 'number') {
+        navigate(`/posts/${appData.selectedPostId}`);
+    }
+}
+
+// Open the profile of the selected card's author, or of the open post's author
+function openSelectedAuthor() {
+    if (appData.currentView === 'post-detail' && appData.currentPost) {
+        navigate(`/users/${appData.currentPost.userId}`);
+        return;
+    }
+
+    const card = getVisibleCards().find(card => card.dataset.postId === String(appData.selectedPostId));
+    const author = card?.querySelector('.author[data-user-id]');
+    if (author) navigate(`/users/${author.dataset.userId}`);
+}
+
+// "/" focuses the search of the user directory, or the post search everywhere else
+function focusSearch() {
+    if (appData.currentView === 'users') {
+        document.getElementById('user-search-input').focus();
+        return;
+    }
+    if (appData.currentView !== 'posts') navigate(buildPostsPath());
+    document.getElementById('search-input').focus();
+}
+
+// ==================== Command Palette ====================
+// Ctrl+K opens a palette to jump to a page, or to any post or user by id
+// or title. Pages match instantly; posts and users are looked up as you type.
+
+// Pages by message key, translated each time the palette lists them
+const paletteCommands = [
+    { labelKey: 'nav.home', path: '/home' },
+    { labelKey: 'nav.posts', path: '/posts' },
+    { labelKey: 'nav.tags', path: '/tags' },
+    { labelKey: 'nav.users', path: '/users' },
+    { labelKey: 'nav.saved', path: '/saved' },
+    { labelKey: 'nav.contact', path: '/contact' },
+    { labelKey: 'palette.newPost', path: '/posts/new' }
+];
+
+// How many posts and users the palette lists for a search
+const paletteResultLimit = 5;
+
+const commandPalette = {
+    dialog: null,
+    items: [], // What's listed, as { label, detail, path }
+    activeIndex: 0,
+    controller: null // AbortController for the lookup in flight
+};
+
+/** The palette's pages in the current language, as { label, detail, path } */
+function getPaletteCommands() {
+    return paletteCommands.map(({ labelKey, path }) => ({ label: t(labelKey), detail: t('palette.page'), path }));
+}
+
+function setupCommandPalette() {
+    const input = document.getElementById('command-input');
+    const results = document.getElementById('command-results');
+
+    commandPalette.dialog = createDialog(document.getElementById('command-palette'), {
+        onClose: () => commandPalette.controller?.abort()
+    });
+
+    input.addEventListener('input', debounce(() => updatePaletteResults(input.value.trim()), 200));
+
+    input.addEventListener('keydown', (e) => {
+        const count = commandPalette.items.length;
+        if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            setPaletteActive((commandPalette.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            setPaletteActive((commandPalette.activeIndex - 1 + count) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteItem(commandPalette.items[commandPalette.activeIndex]);
+        }
+    });
+
+    results.addEventListener('click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) runPaletteItem(commandPalette.items[Number(option.dataset.index)]);
+    });
+}
+
+function toggleCommandPalette() {
+    if (commandPalette.dialog.isOpen()) {
+        commandPalette.dialog.close();
+        return;
+    }
+
+    // Another dialog underneath would still hold on to the focus
+    [...openDialogs].reverse().forEach(dialog => dialog.close({ restoreFocus: false }));
+
+    const input = document.getElementById('command-input');
+    input.value = '';
+    renderPaletteResults(getPaletteCommands());
+    commandPalette.dialog.open();
+}
+
+// Find pages, posts and users for what was typed: a number (or #number) is an id, anything else a title or name
+async function updatePaletteResults(query) {
+    commandPalette.controller?.abort();
+
+    if (!query) {
+        renderPaletteResults(getPaletteCommands());
+        return;
+    }
+
+    const controller = new AbortController();
+    commandPalette.controller = controller;
+    const { signal } = controller;
+
+    const lowerQuery = query.toLowerCase();
+    const idMatch = query.match(/^#?(\d+)$/);
+    const pages = getPaletteCommands().filter(command => command.label.toLowerCase().includes(lowerQuery));
+
+    if (idMatch) {
+        const id = Number(idMatch[1]);
+        const post = findLoadedPost(id);
+        const user = appData.users[id] || appData.authors[id];
+        renderPaletteResults([
+            { label: post ? post.title : t('palette.post', { id: String(id) }), detail: t('palette.post', { id: String(id) }), path: `/posts/${id}` },
+            { label: user ? `${user.firstName} ${user.lastName}` : t('palette.user', { id: String(id) }), detail: t('palette.user', { id: String(id) }), path: `/users/${id}` },
+            ...pages
+        ]);
+        return;
+    }
+
+    // Show the matching pages straight away, then add posts and users as they arrive
+    renderPaletteResults(pages, { loading: true });
+
+    try {
+        const [postData, userData] = await Promise.all([
+            api.searchPosts(query, { limit: 20, signal }),
+            api.getUserDirectory({ signal })
+        ]);
+        if (signal.aborted) return;
+
+        const posts = postData.posts
+            .filter(post => post.title.toLowerCase().includes(lowerQuery))
+            .slice(0, paletteResultLimit)
+            .map(post => ({ label: post.title, detail: t('palette.post', { id: String(post.id) }), path: `/posts/${post.id}` }));
+        const users = userData.users
+            .filter(user => `${user.firstName} ${user.lastName} ${user.username}`.toLowerCase().includes(lowerQuery))
+            .slice(0, paletteResultLimit)
+            .map(user => ({ label: `${user.firstName} ${user.lastName}`, detail: `@${user.username}`, path: `/users/${user.id}` }));
+
+        renderPaletteResults([...pages, ...posts, ...users]);
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error searching from the command palette:', error);
+        renderPaletteResults(pages, { message: t('palette.error') });
+    }
+}
+
+/**
+ * Lists palette items as listbox options. `loading` adds a "Searching..."
+ * line, and `message` replaces the "No matches" text when nothing is listed.
+ */
+function renderPaletteResults(items, { loading = false, message = t('palette.noMatches') } = {}) {
+    const results = document.getElementById('command-results');
+    clearContainer(results);
+    commandPalette.items = items;
+
+    items.forEach((item, index) => {
+        const option = document.createElement('li');
+        option.id = `command-option-${index}`;
+        option.className = 'command-option';
+        option.setAttribute('role', 'option');
+        option.dataset.index = index;
+        option.appendChild(createSpan('command-label', item.label));
+        option.appendChild(createSpan('command-detail', item.detail));
+        results.appendChild(option);
+    });
+
+    if (loading || items.length === 0) {
+        const status = document.createElement('li');
+        status.className = 'command-status';
+        status.textContent = loading ? t('search.searching') : message;
+        results.appendChild(status);
+    }
+
+    setPaletteActive(0);
+}
+
+// Highlight an option; focus stays in the input, so aria-activedescendant points screen readers at it
+function setPaletteActive(index) {
+    const input = document.getElementById('command-input');
+    commandPalette.activeIndex = index;
+
+    document.querySelectorAll('#command-results [role="option"]').forEach(option => {
+        const isActive = Number(option.dataset.index) === index;
+        option.setAttribute('aria-selected', String(isActive));
+        if (isActive) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    if (commandPalette.items.length > 0) {
+        input.setAttribute('aria-activedescendant', `command-option-${index}`);
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function runPaletteItem(item) {
+    if (!item) return;
+    // We're going somewhere else, so focus shouldn't jump back to where the palette was opened
+    commandPalette.dialog.close({ restoreFocus: false });
+    navigate(item.path);
+}
+
+// ==================== Theme ====================
+
+// 'light', 'dark' or 'system' (follow prefers-color-scheme). The inline script
+// in index.html applies the same choice before the first paint.
+const themeStorageKey = 'posthub:theme';
+const themeColors = { light: '#35424a', dark: '#1b2226' };
+const systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+function setupThemeSwitcher() {
+    const select = document.getElementById('theme-select');
+    select.value = getThemePreference();
+
+    select.addEventListener('change', () => {
+        try {
+            localStorage.setItem(themeStorageKey, select.value);
+        } catch (error) {
+            console.error('Error saving theme:', error);
+        }
+        applyTheme(select.value);
+    });
+
+    // Follow the OS when it switches between light and dark
+    systemDarkQuery.addEventListener('change', () => {
+        if (getThemePreference() === 'system') {
+            applyTheme('system');
+        }
+    });
+
+    applyTheme(select.value);
+}
+
+/** Reads the saved theme preference, defaulting to 'system' */
+function getThemePreference() {
+    try {
+        const saved = localStorage.getItem(themeStorageKey);
+        return ['light', 'dark'].includes(saved) ? saved : 'system';
+    } catch (error) {
+        return 'system';
+    }
+}
+
+/** Switches the page (and the browser UI colour) to the given theme */
+function applyTheme(preference) {
+    const theme = preference === 'system'
+        ? (systemDarkQuery.matches ? 'dark' : 'light')
+        : preference;
+
+    document.documentElement.dataset.theme = theme;
+    document.querySelector('meta[name="theme-color"]').setAttribute('content', themeColors[theme]);
+}
+
+// ==================== Language ====================
+// The catalogs and t() live in i18n.js. Changing the language re-translates
+// the static page there; here we rebuild whatever the current view rendered.
+
+function setupLanguageSwitcher() {
+    const select = document.getElementById('language-select');
+    getAvailableLocales().forEach(({ code, name }) => {
+        const option = new Option(name, code);
+        option.lang = code;
+        select.add(option);
+    });
+
+    setLocale(detectLocale(), { save: false });
+    select.value = getLocale();
+
+    select.addEventListener('change', () => setLocale(select.value));
+    window.addEventListener('posthub:localechange', () => {
+        select.value = getLocale();
+        refreshLocalizedViews();
+    });
+}
+
+// Re-render the loaded content in the new language, keeping what's been loaded where we can
+function refreshLocalizedViews() {
+    if (appData.posts.length > 0) {
+        renderFeed();
+        getFeedList().refreshAll();
+    }
+
+    switch (appData.currentView) {
+        case 'posts':
+            if (appData.search.query) searchPosts(appData.search.query);
+            break;
+        case 'post-detail': {
+            // Only a post that's on screen - one still loading renders in the new language anyway
+            const post = appData.currentPost;
+            if (!post || !document.getElementById('post-detail-title')) break;
+            renderPostDetail(post, getAuthor(post.userId));
+            if (!document.getElementById('comments-container').hasAttribute('aria-busy')) {
+                renderComments();
+                if (appData.commentCounts[post.id] !== undefined) updateCommentCount(post.id);
+            }
+            break;
+        }
+        case 'users':
+            if (appData.directory.users) renderUserDirectory({ keepShown: true });
+            break;
+        case 'tag-feed':
+            // Forget the tag so the route loads its posts again
+            appData.tagFeed.tag = null;
+            handleRoute(true);
+            break;
+        case 'tags':
+        case 'saved':
+        case 'profile':
+            handleRoute(true);
+            break;
+        default:
+            // Home, the composer and the contact form only have static text
+            break;
+    }
+}
+
+// ==================== Notices ====================
+
+let noticeTimeoutId = null;
+
+// Show a short-lived message at the top of the page (type: 'success' or 'error')
+function showNotice(message, type = 'success') {
+    const notice = document.getElementById('notice');
+    notice.textContent = message;
+    notice.className = `notice notice-${type}`;
+
+    clearTimeout(noticeTimeoutId);
+    noticeTimeoutId = setTimeout(() => {
+        notice.classList.add('hidden');
+    }, 5000);
+}
+
+// ==================== Offline Indicator ====================
+
+// Show a banner while we're offline or showing cached data because the network failed
+function setupOfflineIndicator() {
+    const banner = document.getElementById('offline-banner');
+    let showingCachedData = false;
+
+    const update = () => {
+        banner.classList.toggle('hidden', navigator.onLine && !showingCachedData);
+    };
+
+    // Sent by the API layer after each network attempt
+    window.addEventListener('posthub:connection', (e) => {
+        showingCachedData = e.detail.offline;
+        update();
+    });
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+
+    document.getElementById('offline-retry').addEventListener('click', () => handleRoute(true));
+
+    update();
+}
+
+/**
+ * Creates the message shown in place of a view that can't load because
+ * we're offline and nothing for it has been cached yet
+ */
+function createOfflineState() {
+    const offlineState = createDiv('offline-state');
+    offlineState.appendChild(createHeading(3, t('offline.title')));
+    offlineState.appendChild(createParagraph(t('offline.body')));
+
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.textContent = t('common.tryAgain');
+    retryButton.addEventListener('click', () => handleRoute(true));
+    offlineState.appendChild(retryButton);
+
+    return offlineState;
+}
+
+// ==================== Service Worker ====================
+
+let updateAccepted = false;
+
+// Register the service worker (sw.js) and offer a reload when a new version is waiting
+async function setupServiceWorker() {
+    // Service workers need http(s) - opening index.html from disk just skips this
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+
+    // The new worker took over after the user accepted the update
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) window.location.reload();
+    });
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+
+        // An update finished installing during an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error registering service worker:', error);
+    }
+}
+
+// Ask whether to switch to the new version now
+function showUpdatePrompt(worker) {
+    const banner = document.getElementById('update-banner');
+    banner.classList.remove('hidden');
+
+    document.getElementById('update-reload').onclick = () => {
+        updateAccepted = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    document.getElementById('update-dismiss').onclick = () => {
+        banner.classList.add('hidden');
+    };
+}
+
+// ==================== Reactions ====================
+// The visitor's own likes/dislikes are kept in localStorage and added on top
+// of the counts from the data source, which doesn't know about them.
+
+const reactionsStorageKey = 'posthub:reactions';
+// Clicks on the same button closer together than this are ignored
+const reactionClickDelay = 400;
+
+const viewerReactions = loadViewerReactions();
+const lastReactionClick = new Map();
+
+/**
+ * Reads the visitor's saved reactions: { posts: { id: 'like' | 'dislike' }, comments: { id: 'like' } }
+ */
+function loadViewerReactions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(reactionsStorageKey));
+        return { posts: saved?.posts || {}, comments: saved?.comments || {} };
+    } catch (error) {
+        console.error('Error reading saved reactions:', error);
+        return { posts: {}, comments: {} };
+    }
+}
+
+/**
+ * Creates the like/dislike buttons for a post or comment ('posts' or 'comments').
+ * `counts` are the counts from the data source; leave out `dislikes` for likes only.
+ */
+function createReactionBar(type, id, counts) {
+    const bar = createSpan('reaction-bar');
+    bar.dataset.reactionType = type;
+    bar.dataset.reactionId = id;
+    bar.dataset.likes = counts.likes;
+    if (counts.dislikes !== undefined) bar.dataset.dislikes = counts.dislikes;
+
+    const current = viewerReactions[type][id];
+
+    const addButton = (reaction, icon, count, label) => {
+        const total = count + (current === reaction ? 1 : 0);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `reaction-button reaction-${reaction}`;
+        button.textContent = `${icon} ${formatNumber(total, { compact: true })}`;
+        button.setAttribute('aria-pressed', current === reaction ? 'true' : 'false');
+        button.setAttribute('aria-label', t('post.reactionLabel', { label, count: total }));
+        button.addEventListener('click', (e) => {
+            // Cards open the post on click - a reaction shouldn't
+            e.stopPropagation();
+            toggleReaction(type, id, reaction);
+        });
+        bar.appendChild(button);
+    };
+
+    addButton('like', '❤️', counts.likes, t('post.like'));
+    if (counts.dislikes !== undefined) {
+        addButton('dislike', '👎', counts.dislikes, t('post.dislike'));
+    }
+
+    return bar;
+}
+
+// Like, dislike, or take back the visitor's reaction
+function toggleReaction(type, id, reaction) {
+    const key = `${type}:${id}`;
+    const now = Date.now();
+    if (now - (lastReactionClick.get(key) || 0) < reactionClickDelay) return;
+    lastReactionClick.set(key, now);
+
+    if (viewerReactions[type][id] === reaction) {
+        delete viewerReactions[type][id];
+    } else {
+        viewerReactions[type][id] = reaction;
+    }
+
+    try {
+        localStorage.setItem(reactionsStorageKey, JSON.stringify(viewerReactions));
+    } catch (error) {
+        console.error('Error saving reactions:', error);
+    }
+
+    updateReactionBars(type, id);
+}
+
+// Rebuild every reaction bar for the same post/comment so the counts stay in sync
+function updateReactionBars(type, id) {
+    const bars = document.querySelectorAll(`.reaction-bar[data-reaction-type="${type}"][data-reaction-id="${id}"]`);
+    bars.forEach(bar => {
+        const counts = { likes: Number(bar.dataset.likes) };
+        if (bar.dataset.dislikes !== undefined) counts.dislikes = Number(bar.dataset.dislikes);
+
+        // Keep keyboard focus on the button that was pressed
+        const focusedIndex = [...bar.children].indexOf(document.activeElement);
+
+        const newBar = createReactionBar(type, id, counts);
+        bar.replaceWith(newBar);
+        if (focusedIndex !== -1) newBar.children[focusedIndex].focus();
+    });
+}
+
+// ==================== Bookmarks ====================
+// Saved posts are kept in localStorage as { postId: { post, savedAt } }, with
+// a snapshot of the post so the Saved view doesn't need the network.
+
+const bookmarksStorageKey = 'posthub:bookmarks';
+// Bumped if the export file format ever changes
+const bookmarksExportVersion = 1;
+
+const bookmarks = loadBookmarks();
+
+function loadBookmarks() {
+    try {
+        return JSON.parse(localStorage.getItem(bookmarksStorageKey)) || {};
+    } catch (error) {
+        console.error('Error reading saved posts:', error);
+        return {};
+    }
+}
+
+function saveBookmarks() {
+    try {
+        localStorage.setItem(bookmarksStorageKey, JSON.stringify(bookmarks));
+    } catch (error) {
+        console.error('Error saving bookmarks:', error);
+        showNotice(t('saved.storageError'), 'error');
+    }
+}
+
+/**
+ * Copies the fields of a post a bookmark keeps
+ */
+function createPostSnapshot({ id, title, body, tags, userId, reactions, views }) {
+    return structuredClone({ id, title, body, tags, userId, reactions, views });
+}
+
+/**
+ * Creates the Save / Saved toggle for a post
+ */
+function createBookmarkButton(post) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bookmark-button';
+    button.dataset.postId = post.id;
+    button.setAttribute('aria-label', t('saved.saveLabel', { title: post.title }));
+    setBookmarkButtonState(button, Boolean(bookmarks[post.id]));
+    button.addEventListener('click', () => toggleBookmark(post));
+    return button;
+}
+
+function setBookmarkButtonState(button, saved) {
+    button.textContent = saved ? t('saved.saved') : t('saved.save');
+    button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+}
+
+// Save a post, or remove it if it's already saved
+function toggleBookmark(post) {
+    if (bookmarks[post.id]) {
+        delete bookmarks[post.id];
+    } else {
+        bookmarks[post.id] = { post: createPostSnapshot(post), savedAt: Date.now() };
+    }
+    saveBookmarks();
+    updateBookmarkButtons([post.id]);
+
+    if (appData.currentView === 'saved') renderSavedPosts();
+}
+
+// Sync every Save button on the page for the given posts
+function updateBookmarkButtons(postIds) {
+    postIds.forEach(postId => {
+        document.querySelectorAll(`.bookmark-button[data-post-id="${postId}"]`).forEach(button => {
+            setBookmarkButtonState(button, Boolean(bookmarks[postId]));
+        });
+    });
+}
+
+// Wire up the Saved view's tag filter and import/export buttons
+function setupSavedPosts() {
+    document.getElementById('saved-tag-filter').addEventListener('change', (e) => {
+        const tag = e.target.value;
+        navigate(tag ? `/saved?tag=${encodeURIComponent(tag)}` : '/saved', { replace: true });
+    });
+
+    document.getElementById('saved-export-btn').addEventListener('click', exportBookmarks);
+
+    const importInput = document.getElementById('saved-import-input');
+    document.getElementById('saved-import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const [file] = importInput.files;
+        // Clear it so choosing the same file again still fires "change"
+        importInput.value = '';
+        if (file) await importBookmarks(file);
+    });
+}
+
+// Show the saved posts, filtered by the tag in the URL
+function viewSavedPosts(query) {
+    showView('saved');
+    appData.savedTag = query.get('tag') || '';
+    renderSavedPosts();
+}
+
+function renderSavedPosts() {
+    const container = document.getElementById('saved-posts-container');
+    const status = document.getElementById('saved-status');
+    const tag = appData.savedTag;
+
+    // Most recently saved first
+    const entries = Object.values(bookmarks).sort((a, b) => b.savedAt - a.savedAt || a.post.id - b.post.id);
+    const allTags = [...new Set(entries.flatMap(entry => entry.post.tags))].sort((a, b) => a.localeCompare(b));
+    setFilterOptions(document.getElementById('saved-tag-filter'), allTags, tag);
+    document.getElementById('saved-export-btn').disabled = entries.length === 0;
+
+    const shown = tag ? entries.filter(entry => entry.post.tags.includes(tag)) : entries;
+
+    clearContainer(container);
+
+    if (entries.length === 0) {
+        status.textContent = '';
+        container.appendChild(createEmptyState(t('saved.empty')));
+        return;
+    }
+    if (shown.length === 0) {
+        status.textContent = '';
+        container.appendChild(createEmptyState(t('saved.noneTagged', { tag })));
+        return;
+    }
+
+    status.textContent = tag
+        ? t('saved.countTagged', { shown: shown.length, total: entries.length, tag })
+        : t('saved.count', { count: entries.length });
+
+    shown.forEach(({ post, savedAt }) => {
+        const card = createPostCard(post, getAuthor(post.userId), { variant: 'snapshot' });
+        card.querySelector('.post-meta').appendChild(createSpan('saved-at', t('saved.savedOn', { date: formatDate(savedAt) })));
+        container.appendChild(card);
+    });
+    resolveAuthors(shown.map(entry => entry.post.userId));
+}
+
+// Download every saved post as a JSON file
+function exportBookmarks() {
+    const data = {
+        app: 'posthub',
+        version: bookmarksExportVersion,
+        exportedAt: new Date().toISOString(),
+        bookmarks: Object.values(bookmarks)
+    };
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `posthub-saved-posts-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before freeing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Read an exported file and merge it into the saved posts
+async function importBookmarks(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        console.error('Error reading imported bookmarks:', error);
+        showNotice(t('saved.invalidJson'), 'error');
+        return;
+    }
+
+    const result = mergeBookmarks(data);
+    if (result.error) {
+        showNotice(result.error, 'error');
+        return;
+    }
+
+    const { added, updated, skipped } = result;
+    const parts = [t('saved.imported', { count: added })];
+    if (updated > 0) parts.push(t('saved.importUpdated', { count: updated }));
+    if (skipped > 0) parts.push(t('saved.importSkipped', { count: skipped }));
+    showNotice(`${formatList(parts)}.`, skipped > 0 && added + updated === 0 ? 'error' : 'success');
+}
+
+/**
+ * Checks that an imported entry has everything a saved post card needs
+ */
+function isValidBookmark(entry) {
+    const post = entry?.post;
+    return Boolean(post)
+        && Number.isInteger(post.id) && post.id > 0
+        && Number.isInteger(post.userId)
+        && typeof post.title === 'string' && post.title.trim() !== ''
+        && typeof post.body === 'string'
+        && Array.isArray(post.tags) && post.tags.every(tag => typeof tag === 'string')
+        && Number.isFinite(entry.savedAt);
+}
+
+/**
+ * Merges exported bookmark data into the saved posts. Posts that aren't
+ * saved yet are added; for posts saved on both sides the more recently saved
+ * copy wins. Returns { added, updated, skipped }, or { error } for a file
+ * that isn't a bookmark export at all.
+ */
+function mergeBookmarks(data) {
+    if (data?.app !== 'posthub' || !Array.isArray(data.bookmarks)) {
+        return { error: t('saved.notExport') };
+    }
+    if (data.version > bookmarksExportVersion) {
+        return { error: t('saved.newerVersion') };
+    }
+
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    data.bookmarks.forEach(entry => {
+        if (!isValidBookmark(entry)) {
+            skipped++;
+            return;
+        }
+
+        const existing = bookmarks[entry.post.id];
+        if (existing && existing.savedAt >= entry.savedAt) return;
+
+        // Counts are optional in the file - cards just show zero without them
+        const post = createPostSnapshot({
+            ...entry.post,
+            reactions: {
+                likes: Number(entry.post.reactions?.likes) || 0,
+                dislikes: Number(entry.post.reactions?.dislikes) || 0
+            },
+            views: Number(entry.post.views) || 0
+        });
+        bookmarks[post.id] = { post, savedAt: entry.savedAt };
+        if (existing) {
+            updated++;
+        } else {
+            added++;
+        }
+    });
+
+    saveBookmarks();
+    updateBookmarkButtons(Object.keys(bookmarks));
+    if (appData.currentView === 'saved') renderSavedPosts();
+
+    return { added, updated, skipped };
+}
+
+// ==================== Create, Edit & Delete Posts ====================
+
+const postLimits = {
+    titleMin: 3,
+    titleMax: 120,
+    bodyMin: 10,
+    bodyMax: 5000,
+    maxTags: 10
+};
+
+let localPostCounter = 0;
+
+/**
+ * Creates the Edit/Delete controls shown on post cards and the detail view
+ */
+function createPostActions(post) {
+    const actions = createDiv('post-actions');
+
+    // Posts that only exist locally can't be opened in the composer
+    if (typeof post.id === 'number') {
+        const editLink = document.createElement('a');
+        editLink.className = 'post-action';
+        editLink.href = `#/posts/${post.id}/edit`;
+        editLink.textContent = t('post.edit');
+        actions.appendChild(editLink);
+    }
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'post-action post-action-delete';
+    deleteButton.textContent = t('post.delete');
+    deleteButton.addEventListener('click', () => deletePost(post.id));
+    actions.appendChild(deleteButton);
+
+    return actions;
+}
+
+// Wire up the composer form
+function setupComposer() {
+    const form = document.getElementById('post-form');
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const values = readComposer();
+        const errors = validatePostForm(values);
+        showComposerErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        const postId = form.dataset.postId ? Number(form.dataset.postId) : null;
+        if (postId) {
+            updatePost(postId, values);
+            goBack(`/posts/${postId}`);
+        } else {
+            createPost(values);
+            navigate('/posts', { replace: true });
+        }
+    });
+
+    document.getElementById('post-form-cancel').addEventListener('click', () => {
+        const postId = form.dataset.postId;
+        goBack(postId ? `/posts/${postId}` : '/posts');
+    });
+}
+
+// Open the composer empty (new post) or filled with an existing post
+async function openComposer(postId = null) {
+    showView('compose');
+
+    const form = document.getElementById('post-form');
+    form.reset();
+    showComposerErrors({});
+    form.dataset.postId = postId || '';
+
+    document.getElementById('compose-heading').textContent = postId ? t('composer.editTitle') : t('composer.newTitle');
+    document.getElementById('post-form-submit').textContent = postId ? t('composer.saveChanges') : t('composer.publish');
+
+    if (!postId) return;
+
+    // Use the post we already have if possible
+    let post = findLoadedPost(postId);
+    const submitButton = document.getElementById('post-form-submit');
+    try {
+        if (!post) {
+            submitButton.disabled = true;
+            post = await api.getPost(postId);
+        }
+    } catch (error) {
+        console.error('Error loading post for editing:', error);
+        showNotice(t('composer.loadError'), 'error');
+        return;
+    } finally {
+        submitButton.disabled = false;
+    }
+
+    // The user may have left the composer while we were loading
+    if (form.dataset.postId !== String(postId)) return;
+
+    document.getElementById('post-title-input').value = post.title;
+    document.getElementById('post-body-input').value = post.body;
+    document.getElementById('post-tags-input').value = post.tags.join(', ');
+}
+
+// Read and normalize the composer's fields
+function readComposer() {
+    const tags = document.getElementById('post-tags-input').value
+        .split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(tag => tag.length > 0);
+
+    return {
+        title: document.getElementById('post-title-input').value.trim(),
+        body: document.getElementById('post-body-input').value.trim(),
+        tags: [...new Set(tags)]
+    };
+}
+
+/**
+ * Checks composer values and returns an object of field -> error message
+ * (empty when everything is valid)
+ */
+function validatePostForm({ title, body, tags }) {
+    const errors = {};
+
+    if (title.length < postLimits.titleMin) {
+        errors.title = t('composer.titleTooShort', { min: postLimits.titleMin });
+    } else if (title.length > postLimits.titleMax) {
+        errors.title = t('composer.titleTooLong', { max: postLimits.titleMax });
+    }
+
+    if (body.length < postLimits.bodyMin) {
+        errors.body = t('composer.bodyTooShort', { min: postLimits.bodyMin });
+    } else if (body.length > postLimits.bodyMax) {
+        errors.body = t('composer.bodyTooLong', { max: postLimits.bodyMax });
+    }
+
+    if (tags.length > postLimits.maxTags) {
+        errors.tags = t('composer.tooManyTags', { max: postLimits.maxTags });
+    } else if (tags.some(tag => !/^[a-z0-9-]{1,30}$/.test(tag))) {
+        errors.tags = t('composer.invalidTags');
+    }
+
+    return errors;
+}
+
+// Show (or clear) the inline error under each composer field
+function showComposerErrors(errors) {
+    const fields = { title: 'post-title-input', body: 'post-body-input', tags: 'post-tags-input' };
+
+    Object.entries(fields).forEach(([field, inputId]) => {
+        const input = document.getElementById(inputId);
+        const errorElement = document.getElementById(`${inputId}-error`);
+        errorElement.textContent = errors[field] || '';
+        input.setAttribute('aria-invalid', errors[field] ? 'true' : 'false');
+    });
+
+    // Put the cursor on the first problem
+    const firstInvalid = Object.keys(fields).find(field => errors[field]);
+    if (firstInvalid) {
+        document.getElementById(fields[firstInvalid]).focus();
+    }
+}
+
+// Find a post in the loaded feed, on the detail view or among the ones created here
+function findLoadedPost(postId) {
+    if (appData.currentPost?.id === postId) return appData.currentPost;
+    return appData.posts.find(post => post.id === postId) || appData.localPosts.get(postId) || null;
+}
+
+// Posts created this session only exist here, so edits and deletes never reach the data source
+function isLocalPost(postId) {
+    return typeof postId !== 'number' || appData.localPosts.has(postId);
+}
+
+// Re-render every place a post is shown after its data changed
+function refreshPostViews(postId) {
+    renderFeed();
+    getFeedList().refreshItem(postId);
+
+    if (appData.currentView === 'post-detail' && appData.currentPost?.id === postId) {
+        renderPostDetail(appData.currentPost, getAuthor(appData.currentPost.userId));
+    }
+
+    // Search results, tag feeds and profiles rebuild their cards in place
+    document.querySelectorAll(`.post-card[data-post-id="${postId}"]`).forEach(card => {
+        const rendered = renderedCards.get(card);
+        if (!rendered || card.closest('#posts-container, #saved-posts-container')) return;
+        createPostCard(rendered.post, getAuthor(rendered.post.userId), { ...rendered, element: card });
+    });
+
+    if (appData.currentView === 'saved') renderSavedPosts();
+}
+
+// Publish a new post, showing it in the feed straight away
+async function createPost({ title, body, tags }) {
+    // Placeholder id until the data source assigns a real one
+    const tempId = `local-${++localPostCounter}`;
+    const optimisticPost = {
+        id: tempId,
+        title,
+        body,
+        tags,
+        reactions: { likes: 0, dislikes: 0 },
+        views: 0,
+        userId: appData.viewerId
+    };
+
+    appData.pendingPosts.add(tempId);
+    appData.posts.unshift(optimisticPost);
+    appData.totalPosts++;
+    renderFeed();
+
+    try {
+        const saved = await api.createPost({ title, body, tags, userId: appData.viewerId });
+
+        // Keep fields the data source didn't echo back
+        const post = { ...optimisticPost, ...saved };
+        // Some backends (like DummyJSON) don't persist writes and reuse ids - keep ours then
+        if (appData.posts.some(existing => existing.id === post.id && existing !== optimisticPost)) {
+            post.id = tempId;
+        }
+
+        appData.pendingPosts.delete(tempId);
+        appData.localPosts.set(post.id, post);
+        const index = appData.posts.indexOf(optimisticPost);
+        if (index !== -1) appData.posts[index] = post;
+        renderFeed();
+        showNotice(t('composer.published'));
+    } catch (error) {
+        console.error('Error creating post:', error);
+
+        // Roll back
+        appData.pendingPosts.delete(tempId);
+        appData.posts = appData.posts.filter(post => post !== optimisticPost);
+        appData.totalPosts--;
+        renderFeed();
+        showNotice(t('composer.publishError'), 'error');
+    }
+}
+
+// Apply fields to every loaded copy of a post - the feed, the detail view, the
+// other lists, the cards on the page and the Saved snapshot each keep their own
+function applyPostChanges(postId, changes) {
+    const cards = document.querySelectorAll(`.post-card[data-post-id="${postId}"]`);
+    const copies = new Set([
+        appData.posts.find(post => post.id === postId),
+        appData.currentPost,
+        appData.localPosts.get(postId),
+        appData.tagFeed.posts.find(post => post.id === postId),
+        appData.profilePosts.posts.find(post => post.id === postId),
+        ...[...cards].map(card => renderedCards.get(card)?.post)
+    ]);
+    copies.forEach(post => {
+        if (post && post.id === postId) Object.assign(post, changes);
+    });
+
+    if (bookmarks[postId]) {
+        Object.assign(bookmarks[postId].post, structuredClone(changes));
+        saveBookmarks();
+    }
+}
+
+// Re-apply this session's edits to a freshly fetched post. Returns null if we deleted it.
+// Keeps the UI consistent even with backends that don't persist writes (like DummyJSON).
+function withLocalChanges(post) {
+    if (appData.deletedPostIds.has(post.id)) return null;
+    return Object.assign(post, appData.localEdits[post.id]);
+}
+
+// Save changes to a post, applying them everywhere before the data source confirms
+async function updatePost(postId, changes) {
+    const current = findLoadedPost(postId);
+    const previousValues = current
+        ? Object.fromEntries(Object.keys(changes).map(key => [key, structuredClone(current[key])]))
+        : null;
+    const previousEdits = appData.localEdits[postId];
+
+    appData.localEdits[postId] = { ...previousEdits, ...changes };
+    applyPostChanges(postId, changes);
+    appData.pendingPosts.add(postId);
+    refreshPostViews(postId);
+
+    try {
+        // Local posts were never stored anywhere, so there's nothing to send
+        if (!isLocalPost(postId)) {
+            await api.updatePost(postId, changes);
+        }
+        showNotice(t('composer.saved'));
+    } catch (error) {
+        console.error('Error updating post:', error);
+
+        // Roll back to what we had before
+        if (previousEdits) {
+            appData.localEdits[postId] = previousEdits;
+        } else {
+            delete appData.localEdits[postId];
+        }
+        if (previousValues) applyPostChanges(postId, previousValues);
+        showNotice(t('composer.saveError'), 'error');
+    } finally {
+        appData.pendingPosts.delete(postId);
+        refreshPostViews(postId);
+    }
+}
+
+// Delete a post after confirming, removing it right away and restoring it on failure
+async function deletePost(postId) {
+    if (!window.confirm(t('composer.confirmDelete'))) return;
+
+    const index = appData.posts.findIndex(post => post.id === postId);
+    const removedPost = index !== -1 ? appData.posts[index] : null;
+
+    if (removedPost) {
+        appData.posts.splice(index, 1);
+        appData.totalPosts--;
+        renderFeed();
+    }
+
+    // Cards in other lists (search results, tag feeds, profiles) go too
+    const otherCards = [...document.querySelectorAll(`.post-card[data-post-id="${postId}"]`)]
+        .filter(card => !card.closest('#posts-container, #saved-posts-container'))
+        .map(card => ({ card, parent: card.parentNode, next: card.nextSibling }));
+    otherCards.forEach(({ card }) => card.remove());
+
+    // A deleted post has nothing left to come back to, so its bookmark goes as well
+    const removedBookmark = bookmarks[postId];
+    if (removedBookmark) {
+        delete bookmarks[postId];
+        saveBookmarks();
+        if (appData.currentView === 'saved') renderSavedPosts();
+    }
+
+    if (appData.currentView === 'post-detail' && appData.currentPost?.id === postId) {
+        navigate('/posts', { replace: true });
+    }
+
+    appData.deletedPostIds.add(postId);
+
+    try {
+        if (!isLocalPost(postId)) {
+            await api.deletePost(postId);
+        }
+        showNotice(t('composer.deleted'));
+    } catch (error) {
+        console.error('Error deleting post:', error);
+        appData.deletedPostIds.delete(postId);
+
+        // Put everything back where it was
+        if (removedPost) {
+            appData.posts.splice(index, 0, removedPost);
+            appData.totalPosts++;
+            renderFeed();
+        }
+        otherCards.forEach(({ card, parent, next }) => parent.insertBefore(card, next));
+        if (removedBookmark) {
+            bookmarks[postId] = removedBookmark;
+            saveBookmarks();
+            if (appData.currentView === 'saved') renderSavedPosts();
+        }
+        showNotice(t('composer.deleteError'), 'error');
+    }
+}
+
+// View post detail with comments
+async function viewPostDetail(postId) {
+    showView('post-detail')
+
+    const postContent = document.getElementById('post-content');
+    const commentsContainer = document.getElementById('comments-container');
+
+    // Clear containers
+    clearContainer(postContent);
+    clearContainer(commentsContainer);
+    document.getElementById('comments-heading').textContent = t('comments.title');
+    document.getElementById('comment-form').reset();
+    
+    // Show loading state
+    showLoadingState(postContent, 'post-detail', { label: t('detail.loading') });
+
+    // Opening another post cancels whatever the previous one was still loading
+    appData.postDetailController?.abort();
+    const controller = new AbortController();
+    appData.postDetailController = controller;
+    const { signal } = controller;
+
+    try{
+        // Posts created this session can't be fetched back, so they're shown from memory
+        const post = withLocalChanges(appData.localPosts.get(postId) ?? await api.getPost(postId, {
+            onUpdate: freshPost => refreshPostDetail(freshPost),
+            signal
+        }));
+        if (signal.aborted) return;
+
+        if (!post) {
+            showEmptyState(postContent, t('detail.deleted'));
+            return;
+        }
+
+        // Store the current post
+        appData.currentPost = post;
+
+        // Fetch the author
+        const user = await fetchUser(post.userId);
+        if (signal.aborted) return;
+
+        // A background refresh may have replaced the post in the meantime
+        renderPostDetail(appData.currentPost, user);
+        document.getElementById('post-detail-title').focus();
+
+        // Load comments
+        await loadComments(postId, signal);
 
     } catch(error){
+        if (error.name === 'AbortError') return;
+
         console.error('Error loading post detail:', error);
         clearContainer(postContent);
-        const errorState = createDiv('error-state', 'Failed to load post. Please check your connection and try again.');
-        postContent.appendChild(errorState);
+        if (isNetworkError(error)) {
+            postContent.appendChild(createOfflineState());
+            return;
+        }
+        postContent.appendChild(createErrorState(t('detail.error'), () => viewPostDetail(postId)));
+    }
+}
+
+// A cached post was refreshed in the background - re-render it if it's still open
+function refreshPostDetail(freshPost) {
+    const post = withLocalChanges(freshPost);
+    if (!post || appData.currentView !== 'post-detail' || appData.currentPost?.id !== post.id) return;
+
+    appData.currentPost = post;
+    renderPostDetail(post, getAuthor(post.userId));
+}
+
+// Render the post itself on the detail view (comments are loaded separately)
+function renderPostDetail(post, user) {
+    const postContent = document.getElementById('post-content');
+
+    // Clear loading state
+    clearContainer(postContent);
+
+    postContent.appendChild(createPostCard(post, user, { variant: 'detail' }));
+}
+
+async function loadComments(postId, signal){
+    const commentsContainer = document.getElementById('comments-container');
+
+    // Show loading state
+    showLoadingState(commentsContainer, 'comment', { count: 2, label: t('comments.loading') });
+    appData.comments = [];
+
+    // Warm the cache so our own comments can show a username right away
+    fetchUser(appData.viewerId).catch(() => null);
+
+    try{
+        // A post created this session has no comments anywhere but here
+        const data = isLocalPost(postId)
+            ? { comments: [], total: 0 }
+            : await api.getComments(postId, {
+                onUpdate: freshData => showComments(postId, freshData),
+                signal
+            });
+        showComments(postId, data);
+
+    } catch (error){
+        if (error.name === 'AbortError') return;
+
+        console.error('Error loading comments:', error);
+        showErrorState(commentsContainer, t('comments.error'), () => loadComments(postId));
+    }
+}
+
+// Show a post's comments (plus our own unsaved ones) if that post is still open
+function showComments(postId, data) {
+    if (appData.currentPost?.id !== postId) return;
+
+    // Add comments written this session that the data source didn't keep
+    const fetchedIds = new Set(data.comments.map(comment => comment.id));
+    const localComments = (appData.localComments[postId] || []).filter(comment => !fetchedIds.has(comment.id));
+    appData.comments = [...data.comments, ...localComments];
+
+    const unsentCount = localComments.filter(comment => appData.commentStatus.get(comment.id) === 'failed').length;
+    appData.commentCounts[postId] = data.total + localComments.length - unsentCount;
+    updateCommentCount(postId);
+
+    renderComments();
+}
+
+// ==================== Comment Threads ====================
+
+const commentMaxLength = 1000;
+// Replies deeper than this stop indenting so threads stay readable on phones
+const commentMaxIndent = 4;
+
+let localCommentCounter = 0;
+
+// Wire up the "Add a comment" form under the comments
+function setupCommentForm() {
+    const form = document.getElementById('comment-form');
+    const input = document.getElementById('comment-input');
+    const errorElement = document.getElementById('comment-input-error');
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const error = validateComment(input.value);
+        errorElement.textContent = error;
+        input.setAttribute('aria-invalid', error ? 'true' : 'false');
+        if (error || !appData.currentPost) return;
+
+        submitComment(appData.currentPost.id, input.value.trim());
+        form.reset();
+    });
+}
+
+// Returns an error message for a comment body, or '' if it's fine
+function validateComment(text) {
+    const body = text.trim();
+    if (!body) return t('comments.required');
+    if (body.length > commentMaxLength) return t('comments.tooLong', { max: commentMaxLength });
+    return '';
+}
+
+// Render the loaded comments as threads (replies nested under their parent)
+function renderComments() {
+    const commentsContainer = document.getElementById('comments-container');
+    clearContainer(commentsContainer);
+
+    if (appData.comments.length === 0) {
+        commentsContainer.appendChild(createEmptyState(t('comments.empty')));
+        return;
+    }
+
+    const loadedIds = new Set(appData.comments.map(comment => comment.id));
+    const repliesByParent = new Map();
+    const topLevel = [];
+
+    appData.comments.forEach(comment => {
+        // Replies to a comment we don't have are shown at the top level
+        if (comment.parentId == null || !loadedIds.has(comment.parentId)) {
+            topLevel.push(comment);
+            return;
+        }
+        if (!repliesByParent.has(comment.parentId)) {
+            repliesByParent.set(comment.parentId, []);
+        }
+        repliesByParent.get(comment.parentId).push(comment);
+    });
+
+    topLevel.forEach(comment => {
+        commentsContainer.appendChild(createCommentThread(comment, repliesByParent, 0));
+    });
+}
+
+/**
+ * Creates a comment and, below it, all of its replies
+ */
+function createCommentThread(comment, repliesByParent, depth) {
+    const thread = createDiv('comment-thread');
+    thread.appendChild(createCommentCard(comment, thread));
+
+    const replies = repliesByParent.get(comment.id) || [];
+    if (replies.length > 0) {
+        const replyList = createDiv(depth + 1 < commentMaxIndent ? 'comment-replies' : 'comment-replies comment-replies-flat');
+        replies.forEach(reply => {
+            replyList.appendChild(createCommentThread(reply, repliesByParent, depth + 1));
+        });
+        thread.appendChild(replyList);
     }
+
+    return thread;
 }
 
-async function loadComments(postId){
-    const commentsContainer = document.getElementById('comments-container');
-    clearContainer(commentsContainer);
+/**
+ * Creates a single comment card, including its reply button or send status
+ */
+function createCommentCard(comment, thread) {
+    const status = appData.commentStatus.get(comment.id);
+    const commentElement = createDiv('comment-card');
+    commentElement.dataset.commentId = comment.id;
+    if (status) commentElement.classList.add(`comment-${status}`);
     
-    // Show loading state
-    commentsContainer.appendChild(createParagraph('Loading comments...'));
+    // Comment header
+    const header = createDiv('comment-header');
+    const username = document.createElement('button');
+    username.type = 'button';
+    username.className = 'comment-author';
+    username.textContent = `👤 ${comment.user.username}`;
+    username.setAttribute('aria-label', t('comments.viewProfile', { name: comment.user.fullName || comment.user.username }));
+    username.addEventListener('click', () => openUserProfileModal(comment.user.id));
+    header.appendChild(username);
+    
+    // Our own comments can't be liked until they're saved
+    if (status) {
+        header.appendChild(createSpan('comment-likes', `❤️ ${formatNumber(comment.likes, { compact: true })}`));
+    } else {
+        header.appendChild(createReactionBar('comments', comment.id, { likes: comment.likes }));
+    }
+    
+    commentElement.appendChild(header);
+    
+    // Comment body
+    const body = createParagraph(comment.body);
+    body.className = 'comment-body';
+    commentElement.appendChild(body);
 
-    try{
-        const response = await fetch(`https://dummyjson.com/comments/post/${postId}`);
+    // Footer: reply button, or the send status for our own comments
+    const footer = createDiv('comment-footer');
 
-        if(!response.ok){
-            throw new Error(`Failed to fetch comments: ${response.status}`);
-        }
+    if (status === 'pending') {
+        footer.appendChild(createSpan('comment-status', t('comments.sending')));
+    } else if (status === 'failed') {
+        footer.appendChild(createSpan('comment-status', t('comments.failed')));
 
-        const data = await response.json();
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'comment-action';
+        retryButton.textContent = t('common.retry');
+        retryButton.addEventListener('click', () => sendComment(comment));
+        footer.appendChild(retryButton);
 
-        if (data.comments.length === 0){
-            clearContainer(commentsContainer);
-            const emptyState = createDiv('empty-state', 'No comments available for this post.');
-            commentsContainer.appendChild(emptyState);
-            return;
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'comment-action';
+        discardButton.textContent = t('comments.discard');
+        discardButton.addEventListener('click', () => discardComment(comment));
+        footer.appendChild(discardButton);
+    } else {
+        const replyButton = document.createElement('button');
+        replyButton.type = 'button';
+        replyButton.className = 'comment-action';
+        replyButton.textContent = t('comments.reply');
+        replyButton.addEventListener('click', () => toggleReplyForm(comment, thread, commentElement));
+        footer.appendChild(replyButton);
+    }
+
+    commentElement.appendChild(footer);
+    return commentElement;
+}
+
+// Show (or hide) an inline reply form right below a comment
+function toggleReplyForm(comment, thread, commentElement) {
+    const existingForm = thread.querySelector(':scope > .reply-form');
+    if (existingForm) {
+        existingForm.remove();
+        return;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'comment-form reply-form';
+    form.noValidate = true;
+
+    const input = document.createElement('textarea');
+    input.rows = 2;
+    input.placeholder = t('comments.replyPlaceholder', { username: comment.user.username });
+    input.setAttribute('aria-label', t('comments.replyTo', { username: comment.user.username }));
+    form.appendChild(input);
+
+    const errorElement = createParagraph();
+    errorElement.className = 'field-error';
+    form.appendChild(errorElement);
+
+    const actions = createDiv('comment-form-actions');
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'secondary-button';
+    cancelButton.textContent = t('common.cancel');
+    cancelButton.addEventListener('click', () => form.remove());
+    actions.appendChild(cancelButton);
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.textContent = t('comments.sendReply');
+    actions.appendChild(submitButton);
+    form.appendChild(actions);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const error = validateComment(input.value);
+        errorElement.textContent = error;
+        input.setAttribute('aria-invalid', error ? 'true' : 'false');
+        if (error || !appData.currentPost) return;
+
+        submitComment(appData.currentPost.id, input.value.trim(), comment.id);
+    });
+
+    commentElement.after(form);
+    input.focus();
+}
+
+// Add a comment (or reply) right away, then send it to the data source
+function submitComment(postId, body, parentId = null) {
+    const viewer = appData.users[appData.viewerId];
+    const comment = {
+        id: `local-comment-${++localCommentCounter}`,
+        body,
+        postId,
+        likes: 0,
+        parentId,
+        user: {
+            id: appData.viewerId,
+            username: viewer ? viewer.username : t('comments.youUsername'),
+            fullName: viewer ? `${viewer.firstName} ${viewer.lastName}` : t('comments.you')
         }
+    };
+
+    if (!appData.localComments[postId]) {
+        appData.localComments[postId] = [];
+    }
+    appData.localComments[postId].push(comment);
+    if (appData.currentPost?.id === postId) {
+        appData.comments.push(comment);
+    }
+
+    sendComment(comment);
+}
+
+// Send a comment we added locally; on failure it stays on screen with Retry/Discard
+async function sendComment(comment) {
+    const { postId } = comment;
+
+    appData.commentStatus.set(comment.id, 'pending');
+    appData.commentCounts[postId] = (appData.commentCounts[postId] || 0) + 1;
+    updateCommentCount(postId);
+    rerenderCommentsFor(postId);
 
-        clearContainer(commentsContainer);
-
-        data.comments.forEach(comment => {
-            const commentElement = createDiv('comment-card');
-            
-            // Comment header
-            const header = createDiv('comment-header');
-            const username = document.createElement('strong');
-            username.textContent = `👤 ${comment.user.username}`;
-            header.appendChild(username);
-            
-            const likes = createSpan('comment-likes', `❤️ ${comment.likes}`);
-            header.appendChild(likes);
-            
-            commentElement.appendChild(header);
-            
-            // Comment body
-            const body = createParagraph(comment.body);
-            body.className = 'comment-body';
-            commentElement.appendChild(body);
-            
-            commentsContainer.appendChild(commentElement);
+    try {
+        const saved = await api.addComment({
+            body: comment.body,
+            postId,
+            userId: appData.viewerId,
+            parentId: comment.parentId
         });
 
-    } catch (error){
-        console.error('Error loading comments:', error);
-        clearContainer(commentsContainer);
-        const errorState = createDiv('error-state', 'Failed to load comments. Please check your connection and try again.');
-        commentsContainer.appendChild(errorState);
+        appData.commentStatus.delete(comment.id);
+
+        // Take the real id unless it clashes (DummyJSON hands out the same one every time)
+        const idTaken = (appData.localComments[postId] || []).some(other => other !== comment && other.id === saved.id);
+        if (saved.id !== undefined && !idTaken) {
+            comment.id = saved.id;
+        }
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        appData.commentStatus.set(comment.id, 'failed');
+        appData.commentCounts[postId]--;
+        updateCommentCount(postId);
+    }
+
+    rerenderCommentsFor(postId);
+}
+
+// Remove a comment that failed to send
+function discardComment(comment) {
+    const { postId } = comment;
+    appData.commentStatus.delete(comment.id);
+    appData.localComments[postId] = (appData.localComments[postId] || []).filter(other => other !== comment);
+    appData.comments = appData.comments.filter(other => other !== comment);
+    rerenderCommentsFor(postId);
+}
+
+// Re-render the comments if we're still looking at that post
+function rerenderCommentsFor(postId) {
+    if (appData.currentPost?.id === postId && appData.currentView === 'post-detail') {
+        renderComments();
     }
 }
 
-// Modal setup and close functionality
-function setupModal(){
-    const modal = document.getElementById('profile-modal');
-    const closeBtn = document.querySelector('.close-modal');
+// Show a post's comment count on the detail view and on its cards
+function updateCommentCount(postId) {
+    const count = appData.commentCounts[postId];
+    const label = t('post.comments', { count });
 
-    // Close modal when clicking x
-    closeBtn.addEventListener('click', () => {
-        modal.classList.add('hidden');
+    if (appData.currentPost?.id === postId) {
+        document.getElementById('comments-heading').textContent = t('comments.titleCount', { count });
+    }
+
+    getFeedList().refreshItem(postId);
+
+    // Cards in other lists (search, tags) only need their counter updated
+    document.querySelectorAll(`.post-card[data-post-id="${postId}"] .comment-count`).forEach(counter => {
+        counter.textContent = label;
     });
+}
 
-    // Close modal when clicking outside the modal
-    modal.addEventListener('click', (e) => {
-        if(e.target === modal){
+// ==================== Dialogs ====================
+
+// Everything that can take keyboard focus, for the focus trap
+const focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Dialogs that are open, newest last - Escape closes the top one
+const openDialogs = [];
+
+/**
+ * Turns a `.modal` overlay into an accessible dialog. Its `.modal-content`
+ * should carry role="dialog", aria-modal and a label in the markup.
+ * While open, Tab stays inside the dialog; Escape, the close button or a
+ * click on the backdrop closes it and focus goes back to whatever opened it.
+ * Returns { element, open(trigger), close({ restoreFocus }), isOpen() }.
+ */
+function createDialog(modal, { onClose = null } = {}) {
+    const content = modal.querySelector('.modal-content');
+    let returnFocusTo = null;
+
+    const getFocusable = () => [...content.querySelectorAll(focusableSelector)]
+        .filter(element => !element.closest('.hidden'));
+
+    const dialog = {
+        element: modal,
+
+        isOpen: () => !modal.classList.contains('hidden'),
+
+        open(trigger = document.activeElement) {
+            if (dialog.isOpen()) return;
+            returnFocusTo = trigger;
+            modal.classList.remove('hidden');
+            openDialogs.push(dialog);
+
+            // Start on the first control (the close button) so Escape and Tab work right away
+            const [first] = getFocusable();
+            (first || content).focus();
+        },
+
+        close({ restoreFocus = true } = {}) {
+            if (!dialog.isOpen()) return;
             modal.classList.add('hidden');
+            openDialogs.splice(openDialogs.indexOf(dialog), 1);
+            if (onClose) onClose();
+
+            // The trigger may have been re-rendered away while the dialog was open
+            if (restoreFocus && returnFocusTo?.isConnected) {
+                returnFocusTo.focus();
+            }
+            returnFocusTo = null;
         }
+    };
+
+    modal.querySelector('.close-modal')?.addEventListener('click', () => dialog.close());
+
+    // Close when clicking the backdrop around the dialog
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) dialog.close();
     });
 
-    // Close modal with Escape key
-    document.addEventListener('keydown', (e) => {
-        if(e.key === 'Escape' && !modal.classList.contains('hidden')){
-            modal.classList.add('hidden');
+    // Keep Tab and Shift+Tab cycling through the dialog's own controls
+    modal.addEventListener('keydown', (e) => {
+        if (e.key !== 'Tab') return;
+
+        const focusable = getFocusable();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            content.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === content)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
         }
     });
+
+    return dialog;
+}
+
+// Escape closes the dialog on top
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && openDialogs.length > 0) {
+        e.preventDefault();
+        openDialogs[openDialogs.length - 1].close();
+    }
+});
+
+// Focus that wanders outside the top dialog (e.g. a click on the page behind
+// it in a screen reader's browse mode) is pulled back in
+document.addEventListener('focusin', (e) => {
+    const top = openDialogs[openDialogs.length - 1];
+    if (top && !top.element.contains(e.target)) {
+        top.element.querySelector('.modal-content').focus();
+    }
+});
+
+// The profile card dialog
+let profileDialog = null;
+
+function setupModal() {
+    profileDialog = createDialog(document.getElementById('profile-modal'));
 }
 
 // Open user profile (in modal)
 async function openUserProfileModal(userId) {
-    const modal = document.getElementById('profile-modal');
     const modalContent = document.getElementById('modal-profile-content');
 
-    // Show modal
-    modal.classList.remove('hidden');
-    clearContainer(modalContent);
+    // Show modal (focus returns to whatever opened it when it closes)
+    profileDialog.open();
     
     // Show loading state
-    modalContent.appendChild(createParagraph('Loading profile...'));
+    showLoadingState(modalContent, 'profile', { label: t('profile.loading') });
 
     try {
         // Fetch user details (will use cache if available)
         const user = await fetchUser(userId);
 
         if(!user){
-            clearContainer(modalContent);
-            const errorState = createDiv('error-state', 'User not found');
-            modalContent.appendChild(errorState);
+            showErrorState(modalContent, t('profile.notFound'));
             return;
         }
 
@@ -550,6 +3637,7 @@ async function openUserProfileModal(userId) {
         profileHeader.appendChild(profileImage);
         
         const profileName = createHeading(2, `${user.firstName} ${user.lastName}`, 'modal-profile-name');
+        profileName.id = 'modal-profile-title';
         profileHeader.appendChild(profileName);
         
         const profileUsername = createParagraph(`@${user.username}`);
@@ -572,48 +3660,69 @@ async function openUserProfileModal(userId) {
             profileDetails.appendChild(item);
         };
 
-        addDetailItem('📧 Email:', user.email);
-        addDetailItem('📍 Address:', `${user.address.address}, ${user.address.city}, ${user.address.state} ${user.address.postalCode}`);
-        addDetailItem('📞 Phone:', user.phone);
-        addDetailItem('🎂 Age:', `${user.age} years old`);
-        addDetailItem('👁️ Eye Color:', user.eyeColor);
-        addDetailItem('📏 Height:', `${user.height} cm`);
-        addDetailItem('⚖️ Weight:', `${user.weight} kg`);
-        addDetailItem('🩸 Blood Type:', user.bloodGroup);
+        addDetailItem(t('profile.email'), user.email);
+        addDetailItem(t('profile.address'), `${user.address.address}, ${user.address.city}, ${user.address.state} ${user.address.postalCode}`);
+        addDetailItem(t('profile.phone'), user.phone);
+        addDetailItem(t('profile.age'), t('users.age', { count: user.age }));
+        addDetailItem(t('profile.eyeColor'), user.eyeColor);
+        addDetailItem(t('profile.height'), t('profile.heightValue', { height: user.height }));
+        addDetailItem(t('profile.weight'), t('profile.weightValue', { weight: user.weight }));
+        addDetailItem(t('profile.bloodType'), user.bloodGroup);
 
         modalContent.appendChild(profileDetails);
 
+        // Link through to the full profile page (the router handles the navigation)
+        const fullProfileLink = document.createElement('a');
+        fullProfileLink.className = 'back-button view-profile-link';
+        fullProfileLink.href = `#/users/${user.id}`;
+        fullProfileLink.textContent = t('profile.viewFull');
+        // The page changes underneath, so there's nothing to send focus back to
+        fullProfileLink.addEventListener('click', () => {
+            profileDialog.close({ restoreFocus: false });
+        });
+        modalContent.appendChild(fullProfileLink);
+
     } catch(error){
         console.error('Error loading user profile:', error);
-        clearContainer(modalContent);
-        const errorState = createDiv('error-state', 'Failed to load profile. Please check your internet connection and try again.');
-        modalContent.appendChild(errorState);
+        showErrorState(modalContent, t('profile.modalError'), () => openUserProfileModal(userId));
     }
 }
 
-// View user profile with their posts
-async function viewUserProfile(userId) {
+// View user profile with their posts. With section 'posts' the page scrolls
+// down to the post list once it has loaded (the directory links there)
+async function viewUserProfile(userId, { section = null } = {}) {
 
     showView('profile');
 
     const profileContent = document.getElementById('profile-content');
-    const userPostsContainer = document.getElementById('user-posts-container');
 
-    // Clear containers
-    clearContainer(profileContent);
-    clearContainer(userPostsContainer);
+    // Start the post list over for this user
+    const feed = appData.profilePosts;
+    feed.userId = userId;
+    feed.posts = [];
+    feed.currentSkip = 0;
+    feed.totalPosts = 0;
+    feed.isLoading = false;
+    document.getElementById('user-posts-load-more-btn').classList.add('hidden');
+    clearContainer(document.getElementById('user-posts-container'));
+    clearContainer(document.getElementById('profile-stats'));
     
     // Show loading state
-    profileContent.appendChild(createParagraph('Loading profile...'));
+    showLoadingState(profileContent, 'profile', { label: t('profile.loading') });
+
+    // Opening another profile cancels whatever the previous one was still loading
+    appData.profileController?.abort();
+    const controller = new AbortController();
+    appData.profileController = controller;
+    const { signal } = controller;
 
     try {
         // Fetch user details
         const user = await fetchUser(userId);
+        if (signal.aborted) return;
 
         if(!user){
-            clearContainer(profileContent);
-            const errorState = createDiv('error-state', 'User not found.');
-            profileContent.appendChild(errorState);
+            showErrorState(profileContent, t('profile.notFound'));
             return;
         }
 
@@ -655,7 +3764,7 @@ async function viewUserProfile(userId) {
         details.appendChild(document.createElement('br'));
         
         // Create age and eye color line
-        const detailsLine = createSpan('', `🎂 Age: ${user.age} | 👁️ ${user.eyeColor} eyes | ${user.height}cm`);
+        const detailsLine = createSpan('', t('profile.summary', { age: user.age, eyeColor: user.eyeColor, height: user.height }));
         details.appendChild(detailsLine);
         
         profileInfo.appendChild(details);
@@ -664,118 +3773,490 @@ async function viewUserProfile(userId) {
         profileCard.appendChild(profileHeader);
         profileContent.appendChild(profileCard);
 
-        // Load user's posts
-        await loadUserPosts(userId);
+        // Load the user's activity and first page of posts side by side
+        await Promise.all([
+            loadUserStats(userId, signal),
+            loadUserPosts(userId, signal)
+        ]);
+
+        if (section === 'posts' && !signal.aborted) {
+            document.getElementById('user-posts-heading').scrollIntoView();
+        }
 
     } catch (error) {
         console.error('Error loading profile', error);
-        clearContainer(profileContent);
-        const errorState = createDiv('error-state', 'Failed to load profile. Please check your connection and try again.');
-        profileContent.appendChild(errorState);
+        showErrorState(profileContent, t('profile.error'), () => viewUserProfile(userId));
     }
 }
 
-// Load all posts by a specific user
-async function loadUserPosts(userId) {
+// Wire up the profile page's back and "Load More" buttons
+function setupProfilePage() {
+    document.getElementById('profile-back-btn').addEventListener('click', () => {
+        goBack('/posts');
+    });
+
+    const loadMoreBtn = document.getElementById('user-posts-load-more-btn');
+    loadMoreBtn.addEventListener('click', async () => {
+        loadMoreBtn.disabled = true;
+        loadMoreBtn.textContent = t('common.loading');
+
+        await loadUserPosts(appData.profilePosts.userId, appData.profileController?.signal);
+
+        loadMoreBtn.disabled = false;
+        loadMoreBtn.textContent = t('common.loadMorePosts');
+    });
+}
+
+// Load the next page of a user's posts
+async function loadUserPosts(userId, signal) {
+    const feed = appData.profilePosts;
+    if (feed.isLoading) return;
+
     const userPostsContainer = document.getElementById('user-posts-container');
-    clearContainer(userPostsContainer);
+    const loadMoreBtn = document.getElementById('user-posts-load-more-btn');
+    const isFirstPage = feed.currentSkip === 0;
     
     // Show loading state
-    userPostsContainer.appendChild(createParagraph('Loading user posts...'));
+    if (isFirstPage) {
+        showLoadingState(userPostsContainer, 'post', { count: 2, label: t('profile.postsLoading') });
+    }
     
     try {
-        const response = await fetch(`https://dummyjson.com/posts/user/${userId}`);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch user posts: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        feed.isLoading = true;
+
+        const data = await api.getUserPosts(userId, {
+            limit: appData.postsPerPage,
+            skip: feed.currentSkip,
+            // A refreshed first page replaces it, as long as nothing more was loaded
+            onUpdate: freshData => {
+                if (feed.userId === userId && feed.currentSkip <= freshData.posts.length) {
+                    feed.posts = freshData.posts.map(withLocalChanges).filter(Boolean);
+                    renderUserPosts(feed.posts);
+                }
+            },
+            signal
+        });
+        if (signal?.aborted || feed.userId !== userId) return;
+
+        feed.totalPosts = data.total;
+        feed.posts.push(...data.posts.map(withLocalChanges).filter(Boolean));
+        feed.currentSkip += data.posts.length;
+
+        renderUserPosts(feed.posts);
+        loadMoreBtn.classList.toggle('hidden', feed.currentSkip >= feed.totalPosts);
         
-        if (data.posts.length === 0) {
-            clearContainer(userPostsContainer);
-            const emptyState = createDiv('empty-state', 'No posts available from this user.');
-            userPostsContainer.appendChild(emptyState);
-            return;
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        console.error('Error loading user posts:', error);
+        const message = t('profile.postsError');
+        const retry = () => loadUserPosts(userId);
+        if (isFirstPage) {
+            showErrorState(userPostsContainer, message, retry);
+        } else {
+            userPostsContainer.appendChild(createErrorState(message, retry));
         }
-        
-        clearContainer(userPostsContainer);
-        
-        for (const post of data.posts) {
-            const postElement = createArticle('post-card');
-            
-            // Title
-            const title = createHeading(3, post.title, 'post-title');
-            title.dataset.postId = post.id;
-            title.addEventListener('click', () => viewPostDetail(post.id));
-            postElement.appendChild(title);
-            
-            // Meta
-            const postMeta = createDiv('post-meta');
-            const reactions = createSpan('reactions', `❤️ ${post.reactions.likes} likes`);
-            const views = createSpan('views', `👁️ ${post.views} views`);
-            postMeta.appendChild(reactions);
-            postMeta.appendChild(views);
-            postElement.appendChild(postMeta);
-            
-            // Body
-            const body = createParagraph(post.body);
-            body.className = 'post-body';
-            postElement.appendChild(body);
-            
-            // Tags
-            const tagsContainer = createDiv('post-tags');
-            post.tags.forEach(tag => {
-                const tagSpan = createSpan('tag', tag);
-                tagsContainer.appendChild(tagSpan);
-            });
-            postElement.appendChild(tagsContainer);
-            
-            userPostsContainer.appendChild(postElement);
+    } finally {
+        if (feed.userId === userId) {
+            feed.isLoading = false;
         }
-        
+    }
+}
+
+// ==================== Profile Activity ====================
+
+// How many of a user's favourite tags and latest comments to show
+const profileTopTagCount = 5;
+const profileRecentCommentCount = 5;
+
+// Load and show a user's activity: posts, reactions and views received, tags and comments
+async function loadUserStats(userId, signal) {
+    const statsContainer = document.getElementById('profile-stats');
+    showLoadingState(statsContainer, 'stats', { label: t('profile.activityLoading') });
+
+    try {
+        const [postData, comments] = await Promise.all([
+            api.getUserPostStats(userId, { signal }),
+            api.getCommentsByUser(userId, { signal })
+        ]);
+        if (signal?.aborted || appData.profilePosts.userId !== userId) return;
+
+        renderUserStats(computeUserStats(postData.posts), comments);
     } catch (error) {
-        console.error('Error loading user posts:', error);
-        clearContainer(userPostsContainer);
-        const errorState = createDiv('error-state', 'Failed to load user posts. Please check your connection and try again.');
-        userPostsContainer.appendChild(errorState);
+        if (error.name === 'AbortError') return;
+
+        console.error('Error loading user activity:', error);
+        showErrorState(statsContainer, t('profile.activityError'), () => loadUserStats(userId));
+    }
+}
+
+/**
+ * Adds up a user's posts: counts, reactions and views received, and their most-used tags
+ */
+function computeUserStats(posts) {
+    const tagCounts = {};
+    let likes = 0;
+    let views = 0;
+
+    posts.forEach(post => {
+        likes += post.reactions?.likes ?? 0;
+        views += post.views ?? 0;
+        (post.tags || []).forEach(tag => {
+            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+        });
+    });
+
+    // Most used first, ties in alphabetical order
+    const topTags = Object.entries(tagCounts)
+        .sort(([tagA, countA], [tagB, countB]) => countB - countA || tagA.localeCompare(tagB))
+        .slice(0, profileTopTagCount);
+
+    return { postCount: posts.length, likes, views, topTags };
+}
+
+// Fill the activity section of the profile page
+function renderUserStats(stats, comments) {
+    const statsContainer = document.getElementById('profile-stats');
+    clearContainer(statsContainer);
+
+    // Headline numbers
+    const grid = createDiv('profile-stats-grid');
+    const addStat = (value, label) => {
+        const stat = createDiv('profile-stat');
+        stat.appendChild(createSpan('profile-stat-value', formatNumber(value)));
+        stat.appendChild(createSpan('profile-stat-label', label));
+        grid.appendChild(stat);
+    };
+    addStat(stats.postCount, t('profile.statPosts', { count: stats.postCount }));
+    addStat(stats.likes, t('profile.statLikes'));
+    addStat(stats.views, t('profile.statViews'));
+    addStat(comments.length, t('profile.statComments', { count: comments.length }));
+    statsContainer.appendChild(grid);
+
+    // Most-used tags
+    if (stats.topTags.length > 0) {
+        const tagsSection = createDiv('profile-activity');
+        tagsSection.appendChild(createHeading(4, t('profile.topTags')));
+        const tagList = createDiv('post-tags');
+        stats.topTags.forEach(([tag, count]) => {
+            const link = createTagLink(tag);
+            link.appendChild(createSpan('tag-count', formatNumber(count)));
+            link.setAttribute('aria-label', t('profile.tagCountLabel', { tag, count }));
+            tagList.appendChild(link);
+        });
+        tagsSection.appendChild(tagList);
+        statsContainer.appendChild(tagsSection);
+    }
+
+    // Latest comments, linking to the posts they were left on
+    if (comments.length > 0) {
+        const commentsSection = createDiv('profile-activity');
+        commentsSection.appendChild(createHeading(4, t('profile.recentComments')));
+        const list = document.createElement('ul');
+        list.className = 'profile-comments';
+        [...comments]
+            .sort((a, b) => b.id - a.id)
+            .slice(0, profileRecentCommentCount)
+            .forEach(comment => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#/posts/${comment.postId}`;
+                link.textContent = t('profile.onPost', { id: String(comment.postId) });
+                item.appendChild(link);
+                item.appendChild(createParagraph(comment.body));
+                list.appendChild(item);
+            });
+        commentsSection.appendChild(list);
+        statsContainer.appendChild(commentsSection);
+    }
+}
+
+// Fill the profile's post list
+function renderUserPosts(allPosts) {
+    const userPostsContainer = document.getElementById('user-posts-container');
+    clearContainer(userPostsContainer);
+
+    // Posts deleted since the page was loaded
+    const posts = allPosts.filter(post => !appData.deletedPostIds.has(post.id));
+
+    if (posts.length === 0) {
+        userPostsContainer.appendChild(createEmptyState(t('profile.noPosts')));
+        return;
     }
+    
+    posts.forEach(post => {
+        userPostsContainer.appendChild(createPostCard(post, getAuthor(post.userId), { variant: 'compact' }));
+    });
 }
 
-// Contact Form
-function setupContactForm(){
+// ==================== Contact Form ====================
+// Messages go through api.sendContactMessage(). One that can't be sent
+// because we're offline (or the server is down) waits in a local outbox and
+// goes out by itself once the connection is back.
+
+const contactLimits = {
+    nameMin: 2,
+    messageMin: 10,
+    messageMax: 2000,
+    cooldown: 30 * 1000, // Minimum time between two messages
+    maxPerHour: 5
+};
+
+const contactOutboxKey = 'posthub:contactOutbox';
+const contactSentKey = 'posthub:contactSent'; // Times of recent sends, for the rate limit
+
+// Contact fields in form order: field name -> input id
+const contactFields = { name: 'name', email: 'email', message: 'message', confirm: 'confirm' };
+
+// Set while the outbox is being sent, so two flushes never send a message twice
+let isFlushingOutbox = false;
+
+function setupContactForm() {
     const form = document.getElementById('contact-form');
     let successTimeoutId = null;
 
-    form.addEventListener('submit', (e) => {
+    // Check a field when leaving it, and re-check a flagged field as it's fixed
+    form.addEventListener('focusout', (e) => {
+        const field = Object.keys(contactFields).find(name => contactFields[name] === e.target.id);
+        // An unticked checkbox isn't an error until the form is submitted
+        if (field && e.target.type !== 'checkbox' && e.target.value !== '') showContactErrors(validateContactForm(readContactForm()), [field]);
+    });
+    form.addEventListener('input', (e) => {
+        const field = Object.keys(contactFields).find(name => contactFields[name] === e.target.id);
+        if (field && e.target.getAttribute('aria-invalid') === 'true') {
+            showContactErrors(validateContactForm(readContactForm()), [field], { focus: false });
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
         e.preventDefault();
 
-        // Get form data
-        const name = document.getElementById('name').value.trim();
-        const email = document.getElementById('email').value.trim();
-        const message = document.getElementById('message').value.trim();
+        const status = document.getElementById('contact-status');
+        const successMessage = document.getElementById('success-message');
+        status.classList.add('hidden');
+        successMessage.classList.add('hidden');
+        clearTimeout(successTimeoutId);
+
+        const fields = readContactForm();
+        const errors = validateContactForm(fields);
+        showContactErrors(errors);
+        if (Object.keys(errors).length > 0) return;
 
-        // Clear any existing timeout to prevent overlapping
-        if (successTimeoutId) {
-            clearTimeout(successTimeoutId);
+        // Bots fill in the hidden field - act as if it worked and send nothing
+        if (document.getElementById('website').value) {
+            form.reset();
+            successMessage.classList.remove('hidden');
+            return;
         }
 
-        // Success message 
-        const successMessage = document.getElementById('success-message');
-        successMessage.classList.remove('hidden');
+        const waitMessage = checkContactRateLimit();
+        if (waitMessage) {
+            showContactStatus(waitMessage, 'error');
+            return;
+        }
 
-        // Reset form
-        form.reset();
+        const submitButton = document.getElementById('contact-submit');
+        submitButton.disabled = true;
+        submitButton.textContent = t('contact.sending');
+
+        try {
+            const result = await deliverContactMessage(fields);
 
-        // Hide success message after 5 sec and store timeout ID
-        successTimeoutId = setTimeout(() => {
-            successMessage.classList.add('hidden');
-            successTimeoutId = null;
-        }, 5000);
+            if (result === 'sent') {
+                form.reset();
+                successMessage.classList.remove('hidden');
+                // Hide success message after 5 sec
+                successTimeoutId = setTimeout(() => {
+                    successMessage.classList.add('hidden');
+                }, 5000);
+            } else if (result === 'queued') {
+                form.reset();
+                showContactStatus(t('contact.queued'), 'info');
+            }
+        } catch (error) {
+            console.error('Error sending contact message:', error);
+            showContactStatus(t('contact.failed'), 'error');
+        } finally {
+            submitButton.disabled = false;
+            submitButton.textContent = t('contact.send');
+        }
+    });
+
+    // Anything waiting in the outbox goes out as soon as we can reach the server again
+    window.addEventListener('online', flushContactOutbox);
+    window.addEventListener('posthub:connection', (e) => {
+        if (!e.detail.offline) flushContactOutbox();
+    });
+    if (navigator.onLine) flushContactOutbox();
+}
+
+function readContactForm() {
+    return {
+        name: document.getElementById('name').value.trim(),
+        email: document.getElementById('email').value.trim(),
+        message: document.getElementById('message').value.trim(),
+        confirm: document.getElementById('confirm').checked
+    };
+}
+
+/**
+ * Returns an object with an error message for each invalid field
+ */
+function validateContactForm({ name, email, message, confirm }) {
+    const errors = {};
+
+    if (name.length < contactLimits.nameMin) {
+        errors.name = t('contact.nameTooShort', { min: contactLimits.nameMin });
+    } else if (!/^[\p{L}\s'-]+$/u.test(name)) {
+        errors.name = t('contact.nameInvalid');
+    }
+
+    if (!email) {
+        errors.email = t('contact.emailRequired');
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        errors.email = t('contact.emailInvalid');
+    }
+
+    if (message.length < contactLimits.messageMin) {
+        errors.message = t('contact.messageTooShort', { min: contactLimits.messageMin });
+    } else if (message.length > contactLimits.messageMax) {
+        errors.message = t('contact.messageTooLong', { max: contactLimits.messageMax });
+    }
+
+    if (!confirm) {
+        errors.confirm = t('contact.confirmRequired');
+    }
+
+    return errors;
+}
+
+/**
+ * Shows (or clears) the inline error under each contact field. Pass `only`
+ * to update just some fields, and focus: false to leave the cursor alone.
+ */
+function showContactErrors(errors, only = Object.keys(contactFields), { focus = only.length > 1 } = {}) {
+    only.forEach(field => {
+        const input = document.getElementById(contactFields[field]);
+        document.getElementById(`${contactFields[field]}-error`).textContent = errors[field] || '';
+        input.setAttribute('aria-invalid', errors[field] ? 'true' : 'false');
     });
+
+    // Put the cursor on the first problem
+    const firstInvalid = only.find(field => errors[field]);
+    if (focus && firstInvalid) {
+        document.getElementById(contactFields[firstInvalid]).focus();
+    }
+}
+
+// Message under the form for anything other than plain success ('info' or 'error')
+function showContactStatus(message, type) {
+    const status = document.getElementById('contact-status');
+    status.textContent = message;
+    status.className = `contact-status contact-status-${type}`;
+}
+
+function readContactStorage(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return [];
+    }
 }
 
+function writeContactStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Error saving ${key}:`, error);
+    }
+}
+
+/**
+ * Returns why the visitor has to wait before sending another message, or null
+ */
+function checkContactRateLimit() {
+    const now = Date.now();
+    const recent = readContactStorage(contactSentKey).filter(time => now - time < 60 * 60 * 1000);
+
+    if (recent.length > 0 && now - Math.max(...recent) < contactLimits.cooldown) {
+        return t('contact.cooldown');
+    }
+    if (recent.length >= contactLimits.maxPerHour) {
+        return t('contact.hourlyLimit');
+    }
+    return null;
+}
+
+function recordContactSend() {
+    const now = Date.now();
+    const recent = readContactStorage(contactSentKey).filter(time => now - time < 60 * 60 * 1000);
+    writeContactStorage(contactSentKey, [...recent, now]);
+}
+
+/**
+ * Sends a message, or puts it in the outbox when it can't get through right
+ * now. Resolves with 'sent' or 'queued'; rejects if the server refused it.
+ */
+async function deliverContactMessage({ name, email, message }) {
+    const result = await sendOrQueueContactMessage({ name, email, message });
+    // Only messages that went out (or will) count toward the rate limit
+    recordContactSend();
+    return result;
+}
+
+async function sendOrQueueContactMessage({ name, email, message }) {
+    if (!navigator.onLine) {
+        queueContactMessage({ name, email, message });
+        return 'queued';
+    }
+
+    try {
+        await api.sendContactMessage({ name, email, message });
+        return 'sent';
+    } catch (error) {
+        // Unreachable or failing server: keep it and try again later
+        if (isNetworkError(error) || error.status >= 500) {
+            queueContactMessage({ name, email, message });
+            return 'queued';
+        }
+        throw error;
+    }
+}
 
+function queueContactMessage(message) {
+    const outbox = readContactStorage(contactOutboxKey);
+    writeContactStorage(contactOutboxKey, [...outbox, { ...message, queuedAt: Date.now() }]);
+}
 
+// Try to send every message waiting in the outbox, oldest first
+async function flushContactOutbox() {
+    if (isFlushingOutbox) return;
+    isFlushingOutbox = true;
 
+    let sent = 0;
+    try {
+        for (const message of readContactStorage(contactOutboxKey)) {
+            try {
+                await api.sendContactMessage(message);
+                sent++;
+            } catch (error) {
+                // Still can't get through - leave this one and the rest for next time
+                if (isNetworkError(error) || error.status >= 500) break;
+                // Refused for good, so there's no point keeping it
+                console.error('Dropping queued contact message:', error);
+                showNotice(t('contact.outboxRejected'), 'error');
+            }
+            // Remove it by its queue time, in case the outbox changed while we were sending
+            writeContactStorage(contactOutboxKey, readContactStorage(contactOutboxKey)
+                .filter(queued => queued.queuedAt !== message.queuedAt));
+        }
+    } finally {
+        isFlushingOutbox = false;
+    }
 
+    if (sent > 0) {
+        document.getElementById('contact-status').classList.add('hidden');
+        showNotice(t('contact.outboxSent', { count: sent }));
+    }
+}
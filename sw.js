@@ -0,0 +1,149 @@
+// ==================== Service Worker ====================
+// Precaches the app shell so PostHub opens without a connection, and caches
+// API responses and images at runtime. Bump CACHE_VERSION whenever a shell
+// file changes - the page then offers to reload into the new version.
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `posthub-shell-${CACHE_VERSION}`;
+const API_CACHE = 'posthub-api';
+const IMAGE_CACHE = 'posthub-images';
+
+// Marks API responses answered from the cache, so the page can say it's offline (see api.js)
+const OFFLINE_HEADER = 'X-PostHub-Offline';
+
+// Keep the runtime caches from growing forever
+const MAX_API_ENTRIES = 200;
+const MAX_IMAGE_ENTRIES = 100;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'offline.html',
+    'style.css',
+    'i18n.js',
+    'locales/en.js',
+    'locales/sv.js',
+    'locales/ar.js',
+    'fixtures.js',
+    'api.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Absolute URLs of the shell files, to tell them apart from other same-origin requests
+const SHELL_URLS = new Set(SHELL_FILES.map(file => new URL(file, self.location).href));
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: the new version waits until the user agrees to reload
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('posthub-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the page when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (SHELL_URLS.has(url.href)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+    } else if (url.origin === self.location.origin || request.destination === '') {
+        // fetch() calls from api.js - and anything else on our origin, which
+        // may be the API itself when apiConfig.baseUrl points at this server
+        event.respondWith(networkFirst(request, API_CACHE, MAX_API_ENTRIES));
+    }
+});
+
+/**
+ * Pages: try the network, then the cached copy of that page (the app shell
+ * for ./ and index.html), then the offline page
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (await cache.match('offline.html'));
+    }
+}
+
+/**
+ * Serves from the cache, going to the network (and caching) only on a miss
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque (cross-origin no-cors) responses are fine to cache for images
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        if (maxEntries) await trimCache(cache, maxEntries);
+    }
+    return response;
+}
+
+/**
+ * Goes to the network first and falls back to the last cached response
+ * offline, marked with OFFLINE_HEADER
+ */
+async function networkFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trimCache(cache, maxEntries);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return markAsOffline(cached);
+        throw error;
+    }
+}
+
+/**
+ * Copies a cached response with OFFLINE_HEADER added
+ */
+function markAsOffline(response) {
+    const headers = new Headers(response.headers);
+    headers.set(OFFLINE_HEADER, '1');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Deletes the oldest entries once a cache holds more than maxEntries
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,146 @@
+// Feed cards must follow the API's post order however the responses behind
+// them are timed. The app runs in jsdom on the fixture adapter, with latencies
+// that make responses arrive in a different order than they were requested.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const rootDir = path.join(__dirname, '..');
+
+// Serves the app's own files from disk
+class LocalResourceLoader extends ResourceLoader {
+    fetch(url) {
+        const { hostname, pathname } = new URL(url);
+        if (hostname !== 'localhost') return null;
+        return Promise.resolve(fs.readFileSync(path.join(rootDir, pathname)));
+    }
+}
+
+/**
+ * Opens index.html in jsdom on the fixture data and waits for the page to load.
+ * It starts on the home page, so nothing is fetched until a test opens the feed.
+ */
+async function loadApp() {
+    const dom = await JSDOM.fromFile(path.join(rootDir, 'index.html'), {
+        url: 'http://localhost/index.html?source=fixtures#/home',
+        runScripts: 'dangerously',
+        resources: new LocalResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+        beforeParse(window) {
+            // Browser APIs jsdom doesn't provide
+            window.matchMedia = () => ({ matches: false, addEventListener() {} });
+            window.scrollTo = () => {};
+            window.structuredClone = structuredClone;
+            // Tall enough for the virtual list to mount every card
+            Object.defineProperty(window, 'innerHeight', { value: 10000 });
+        }
+    });
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    return dom.window;
+}
+
+/**
+ * Polls until `condition()` is true, failing after `timeout` ms
+ */
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the page');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Makes the app use a fixture adapter with the given latency. Returns the
+ * requests in the order their responses arrived, e.g. '/posts?limit=10&skip=0'.
+ */
+function installAdapter(window, latency) {
+    const fixtures = window.eval('createFixtureAdapter')(window.eval('POSTHUB_FIXTURES'), { latency });
+    const buildQueryString = window.eval('buildQueryString');
+    const responses = [];
+
+    window.eval('setApiAdapter')({
+        async request(options) {
+            const data = await fixtures.request(options);
+            responses.push(`${options.path}${buildQueryString(options.query)}`);
+            return data;
+        }
+    });
+    return responses;
+}
+
+/**
+ * Delays the first request for `requestPath` by `ms`; everything else answers at once
+ */
+function slowFirst(requestPath, ms) {
+    let delayed = false;
+    return (pathname) => {
+        if (pathname !== requestPath || delayed) return 0;
+        delayed = true;
+        return ms;
+    };
+}
+
+/** Ids of the posts the API returns for a query, in its order */
+async function fetchPostIds(window, query) {
+    const { posts } = await window.eval('createFixtureAdapter()').request({ path: '/posts', query });
+    return posts.map(post => post.id);
+}
+
+const getCardIds = window => [...window.document.querySelectorAll('#posts-container .post-card')]
+    .map(card => Number(card.dataset.postId));
+
+const hasPendingAuthors = window => Boolean(window.document.querySelector('#posts-container .author-pending'));
+
+test('a second page that arrives before the first page\'s authors goes below the first', async () => {
+    const window = await loadApp();
+    try {
+        const limit = window.eval('appData.postsPerPage');
+        const responses = installAdapter(window, slowFirst('/users', 300));
+
+        window.location.hash = '#/posts';
+        await waitFor(() => getCardIds(window).length > 0);
+        window.eval('loadMorePosts')();
+        await waitFor(() => window.eval('appData.posts.length') > limit);
+
+        // Page 2 is on screen while page 1's authors are still on their way...
+        assert.ok(hasPendingAuthors(window));
+        const expectedIds = [
+            ...await fetchPostIds(window, { limit, skip: 0 }),
+            ...await fetchPostIds(window, { limit, skip: limit })
+        ];
+        assert.deepStrictEqual(getCardIds(window), expectedIds);
+
+        // ...and nothing moves once they arrive, last of all
+        await waitFor(() => !hasPendingAuthors(window));
+        assert.match(responses[responses.length - 1], /^\/users/);
+        assert.deepStrictEqual(getCardIds(window), expectedIds);
+    } finally {
+        window.close();
+    }
+});
+
+test('a page for an old sort order that arrives late is dropped', async () => {
+    const window = await loadApp();
+    try {
+        const limit = window.eval('appData.postsPerPage');
+        const responses = installAdapter(window, slowFirst('/posts', 300));
+
+        // The unsorted first page is still loading when the sort changes
+        window.location.hash = '#/posts';
+        await new Promise(resolve => setTimeout(resolve, 20));
+        window.location.hash = '#/posts?sort=views&order=desc';
+
+        await waitFor(() => responses.filter(request => request.startsWith('/posts?')).length === 2);
+        assert.match(responses.find(request => request.startsWith('/posts?')), /sortBy=views/);
+
+        await waitFor(() => !hasPendingAuthors(window));
+        assert.deepStrictEqual(getCardIds(window), await fetchPostIds(window, { limit, skip: 0, sortBy: 'views', order: 'desc' }));
+    } finally {
+        window.close();
+    }
+});